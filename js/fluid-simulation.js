@@ -13,15 +13,54 @@ function createFluidSimulation(canvas) {
       VELOCITY_DISSIPATION: 0.45,  // User specified value
       PRESSURE: 0.8,               // User specified value
       PRESSURE_ITERATIONS: 20,
+      VISCOSITY: 0,                // Velocity diffusion in simulation cells² per second (0 = inviscid)
+      DYE_DIFFUSION: 0,            // Dye diffusion in simulation cells² per second
+      DIFFUSION_ITERATIONS: 20,    // Jacobi iterations of each diffusion solve
+      ADVECTION: 'semi-lagrangian', // 'semi-lagrangian', or 'maccormack' and 'bfecc' for sharper detail at extra passes
       CURL: 9,                     // User specified value (vorticity)
       SPLAT_RADIUS: 0.12,          // User specified value
       SPLAT_FORCE: 6000,
       SHADING: false,              // Disabled as per user request
       COLORFUL: false,             // Disabled as per user request
+      COLOR_CYCLE_SPEED: 0.25,     // Hue cycles per second for pointer colors when COLORFUL is on,
+                                   // and for the 'rainbow' color mode
+      COLOR_MODE: 'random',        // 'random', 'palette', 'speed', 'rainbow' or 'fixed'
+      PALETTE: 'sunset',           // A palette name, or a list of stops ('#rrggbb' or 0-255 { r, g, b })
+      FIXED_COLOR: { r: 255, g: 64, b: 128 }, // 0-255 per channel, for the 'fixed' color mode
+      COLOR_SPEED_RANGE: 500,      // Splat velocity at the end of the palette in the 'speed' color mode
+      DYE_MODE: 'additive',        // 'additive' glows like light; 'subtractive' absorbs like ink on BACK_COLOR paper
+      TEMPERATURE: false,          // Advect a temperature field that makes hot fluid rise
+      SPLAT_TEMPERATURE: 1.0,      // Temperature at the centre of each splat
+      TEMPERATURE_DISSIPATION: 1.0, // Cooling towards zero, as a rate per second
+      AMBIENT_TEMPERATURE: 0.0,    // Temperature of the surrounding fluid, which the field starts at and cools towards
+      BUOYANCY: 100,               // Upward acceleration per degree above ambient
+      WEIGHT: 20,                  // Downward acceleration per unit of dye, so thick smoke sinks
+      GRAVITY: { x: 0, y: 1 },     // Direction of gravity on screen (y down); buoyancy pushes against it
       PAUSED: false,
-      BACK_COLOR: { r: 0, g: 0, b: 0 },
+      BACK_COLOR: { r: 0, g: 0, b: 0 }, // 0-255 per channel
       TRANSPARENT: false,
-      FALLBACK_RESOLUTION: 512  // Lower resolution for fallback
+      DISPLAY_MODE: 'dye',         // 'dye', 'fire', 'velocity', 'velocity-direction', 'pressure', 'curl', 'divergence' or 'temperature'
+      COLORMAP: 'auto',            // 'viridis', 'diverging', 'blackbody' or 'auto' (diverging for signed fields, blackbody for temperature)
+      DISPLAY_RANGE: 'auto',       // Field value at the end of the colormap, or 'auto' to follow the data
+      OVERLAY: 'none',             // 'none', 'arrows' or 'streamlines' drawn from the velocity
+      BLOOM: false,                // Glow around bright dye
+      BLOOM_ITERATIONS: 8,         // Levels of the blur pyramid
+      BLOOM_RESOLUTION: 256,
+      BLOOM_INTENSITY: 0.8,
+      BLOOM_THRESHOLD: 0.6,        // Brightness where the glow starts
+      BLOOM_SOFT_KNEE: 0.7,        // 0 cuts off hard at the threshold, 1 eases in below it
+      SUNRAYS: false,              // Light shafts shining out from behind the dye
+      SUNRAYS_RESOLUTION: 196,
+      SUNRAYS_WEIGHT: 1.0,
+      DITHERING: false,            // Noise that hides banding in smooth gradients on 8-bit displays
+      BOUNDARY: 'free-slip',       // Walls of obstacles and closed edges: 'free-slip' or 'no-slip'
+      EDGES: 'open',               // Canvas border: 'open' lets fluid leave, 'closed' makes it a wall,
+                                   // 'periodic' wraps it around to the opposite side
+      TIME_STEP: 1 / 60,           // Seconds simulated by each fixed step
+      MAX_SUBSTEPS: 4,             // Most fixed steps taken to catch up in a single frame
+      FALLBACK_RESOLUTION: 512, // Lower resolution for fallback
+      SNAPSHOT_INTERVAL: 2,        // Seconds between CPU snapshots used after a context loss (0 disables)
+      SNAPSHOT_RESOLUTION: 64      // Resolution of those snapshots
     };
 
   // Setup canvas with proper device pixel ratio
@@ -50,7 +89,7 @@ function createFluidSimulation(canvas) {
     }
 
     // Extension support
-    const ext = getWebGLExtensions();
+    let ext = getWebGLExtensions();
 
     function getWebGLExtensions() {
       // Explicitly enable required extensions for compatibility
@@ -144,12 +183,17 @@ function createFluidSimulation(canvas) {
       }
     }
 
+    // Upper bounds that setConfig keeps the resolution keys within
+    const resolutionLimits = { SIM_RESOLUTION: Infinity, DYE_RESOLUTION: Infinity };
+
     // Adjust simulation resolution based on support
     if (!ext.supportLinearFiltering) {
       console.log('Linear filtering not supported, using fallback settings');
       config.DYE_RESOLUTION = config.FALLBACK_RESOLUTION;
       config.SIM_RESOLUTION = Math.min(config.SIM_RESOLUTION, config.FALLBACK_RESOLUTION);
       config.SHADING = false;
+      resolutionLimits.SIM_RESOLUTION = config.FALLBACK_RESOLUTION;
+      resolutionLimits.DYE_RESOLUTION = config.FALLBACK_RESOLUTION;
     }
     
     // Also reduce quality if no half float support
@@ -157,6 +201,8 @@ function createFluidSimulation(canvas) {
       console.log('Half float textures not supported, using fallback settings');
       config.DYE_RESOLUTION = Math.floor(config.FALLBACK_RESOLUTION / 2);
       config.SIM_RESOLUTION = Math.min(config.SIM_RESOLUTION, Math.floor(config.FALLBACK_RESOLUTION / 2));
+      resolutionLimits.SIM_RESOLUTION = Math.floor(config.FALLBACK_RESOLUTION / 2);
+      resolutionLimits.DYE_RESOLUTION = Math.floor(config.FALLBACK_RESOLUTION / 2);
       config.CURL = Math.min(config.CURL, 20);
       config.PRESSURE_ITERATIONS = Math.min(config.PRESSURE_ITERATIONS, 15);
     }
@@ -209,6 +255,7 @@ function createFluidSimulation(canvas) {
     // Program class
     class Program {
       constructor(vertexShader, fragmentShader) {
+        this.fragmentShader = fragmentShader;
         this.program = createProgram(vertexShader, fragmentShader);
         this.uniforms = getUniforms(this.program);
       }
@@ -216,6 +263,12 @@ function createFluidSimulation(canvas) {
       bind() {
         gl.useProgram(this.program);
       }
+      
+      // The vertex shader is shared between programs and deleted separately
+      delete() {
+        gl.deleteProgram(this.program);
+        gl.deleteShader(this.fragmentShader);
+      }
     }
 
     // Create framebuffer
@@ -249,18 +302,37 @@ function createFluidSimulation(canvas) {
       };
     }
 
+    // Release a framebuffer and its texture
+    function deleteFBO(target) {
+      gl.deleteFramebuffer(target.fbo);
+      gl.deleteTexture(target.texture);
+    }
+
+    function deleteDoubleFBO(target) {
+      deleteFBO(target.read);
+      deleteFBO(target.write);
+    }
+
     // Double buffer for ping-pong rendering
     function createDoubleFBO(width, height, internalFormat, format, type, param) {
       let fbo1 = createFBO(width, height, internalFormat, format, type, param);
       let fbo2 = createFBO(width, height, internalFormat, format, type, param);
       
     return {
+        width,
+        height,
         get read() {
           return fbo1;
         },
+        set read(value) {
+          fbo1 = value;
+        },
         get write() {
           return fbo2;
         },
+        set write(value) {
+          fbo2 = value;
+        },
         swap() {
           const temp = fbo1;
           fbo1 = fbo2;
@@ -269,6 +341,30 @@ function createFluidSimulation(canvas) {
       };
     }
 
+    // Resample a framebuffer into a new one of the given size, deleting the old one
+    function resizeFBO(target, width, height, internalFormat, format, type, param) {
+      const newFBO = createFBO(width, height, internalFormat, format, type, param);
+      copyProgram.bind();
+      gl.uniform1i(copyProgram.uniforms.uTexture, target.attach(0));
+      blit(newFBO);
+      deleteFBO(target);
+      return newFBO;
+    }
+
+    // Resample the read side of a double buffer; the write side is recreated empty
+    function resizeDoubleFBO(target, width, height, internalFormat, format, type, param) {
+      if (target.width === width && target.height === height) {
+        return target;
+      }
+
+      target.read = resizeFBO(target.read, width, height, internalFormat, format, type, param);
+      deleteFBO(target.write);
+      target.write = createFBO(width, height, internalFormat, format, type, param);
+      target.width = width;
+      target.height = height;
+      return target;
+    }
+
     // Shader sources
     const baseVertexShader = `
       precision highp float;
@@ -290,54 +386,64 @@ function createFluidSimulation(canvas) {
       }
     `;
 
-    const displayShaderSource = `
+    // In the periodic domain, coordinates past one edge continue from the opposite edge.
+    // The neighbour coordinates from baseVertexShader are interpolated across the whole quad,
+    // so they are wrapped per fragment rather than in the vertex shader.
+    const wrapShaderChunk = `
+      uniform bool periodic;
+
+      vec2 wrap (vec2 uv) {
+        return periodic ? fract(uv) : uv;
+      }
+
+      // Offset to the nearest periodic image of a point, so splats straddle the seams
+      vec2 wrapOffset (vec2 p) {
+        return periodic ? p - floor(p + 0.5) : p;
+      }
+    `;
+
+    const copyShaderSource = `
       precision highp float;
       precision highp sampler2D;
       varying vec2 vUv;
       uniform sampler2D uTexture;
 
       void main () {
-        vec3 color = texture2D(uTexture, vUv).rgb;
-        gl_FragColor = vec4(color, 1.0);
+        gl_FragColor = texture2D(uTexture, vUv);
       }
     `;
 
-    const splatShaderSource = `
+    // Encodes one channel of a float texture into RGBA8 so it can be read back on any device
+    const packShaderSource = `
       precision highp float;
       precision highp sampler2D;
       varying vec2 vUv;
-      uniform sampler2D uTarget;
-      uniform float aspectRatio;
-      uniform vec3 color;
-      uniform vec2 point;
-      uniform float radius;
+      uniform sampler2D uTexture;
+      uniform vec4 channel;
+      uniform float range;
 
       void main () {
-        vec2 p = vUv - point.xy;
-        p.x *= aspectRatio;
-        vec3 splat = exp(-dot(p, p) / radius) * color;
-        vec3 base = texture2D(uTarget, vUv).xyz;
-        gl_FragColor = vec4(base + splat, 1.0);
+        float value = dot(texture2D(uTexture, vUv), channel);
+        float t = clamp(value / range * 0.5 + 0.5, 0.0, 0.99999);
+        vec4 encoded = fract(t * vec4(1.0, 255.0, 65025.0, 16581375.0));
+        encoded -= encoded.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+        gl_FragColor = encoded;
       }
     `;
 
-    const advectionShaderSource = `
+    const clearShaderSource = `
       precision highp float;
       precision highp sampler2D;
       varying vec2 vUv;
-      uniform sampler2D uVelocity;
-      uniform sampler2D uSource;
-      uniform vec2 texelSize;
-      uniform float dt;
-      uniform float dissipation;
+      uniform sampler2D uTexture;
+      uniform float value;
 
       void main () {
-        vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
-        gl_FragColor = dissipation * texture2D(uSource, coord);
+        gl_FragColor = value * texture2D(uTexture, vUv);
       }
     `;
 
-    const divergenceShaderSource = `
+    const displayShaderSource = `
       precision highp float;
       precision highp sampler2D;
       varying vec2 vUv;
@@ -345,538 +451,3461 @@ function createFluidSimulation(canvas) {
       varying vec2 vR;
       varying vec2 vT;
       varying vec2 vB;
-      uniform sampler2D uVelocity;
+      uniform sampler2D uTexture;
+      uniform sampler2D uBloom;
+      uniform sampler2D uSunrays;
+      uniform sampler2D uDithering;
+      uniform vec2 texelSize;
+      uniform vec2 ditherScale;
+      uniform bool shading;
+      uniform bool bloom;
+      uniform bool sunrays;
+      uniform bool dithering;
+      uniform bool subtractive;
+      uniform vec3 paper;
+      ${wrapShaderChunk}
 
       void main () {
-        float L = texture2D(uVelocity, vL).x;
-        float R = texture2D(uVelocity, vR).x;
-        float T = texture2D(uVelocity, vT).y;
-        float B = texture2D(uVelocity, vB).y;
-        float div = 0.5 * (R - L + T - B);
-        gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
+        vec3 color = texture2D(uTexture, vUv).rgb;
+
+        // Subtractive dye is absorbance: light from the paper is filtered by exp(-absorbance)
+        if (subtractive) {
+          color = paper * exp(-max(color, 0.0));
+        }
+
+        // Light the dye as a height field, using its brightness gradient as the surface normal
+        if (shading) {
+          vec3 lc = texture2D(uTexture, wrap(vL)).rgb;
+          vec3 rc = texture2D(uTexture, wrap(vR)).rgb;
+          vec3 tc = texture2D(uTexture, wrap(vT)).rgb;
+          vec3 bc = texture2D(uTexture, wrap(vB)).rgb;
+
+          // Absorbance and light both rise with more dye, so either works as the height
+          float dx = length(rc) - length(lc);
+          float dy = length(tc) - length(bc);
+
+          vec3 n = normalize(vec3(dx, dy, length(texelSize)));
+          vec3 l = vec3(0.0, 0.0, 1.0);
+
+          float diffuse = clamp(dot(n, l) + 0.7, 0.7, 1.0);
+          color *= diffuse;
+        }
+
+        float rays = sunrays ? texture2D(uSunrays, vUv).r : 1.0;
+        color *= rays;
+
+        // The glow is blurred in linear space, so it is gamma encoded before being added
+        if (bloom) {
+          vec3 glow = texture2D(uBloom, vUv).rgb * rays;
+          glow = max(1.055 * pow(glow, vec3(0.416666667)) - 0.055, vec3(0.0));
+          color += glow;
+        }
+
+        // Triangular noise of about one 8-bit step
+        if (dithering) {
+          vec4 noise = texture2D(uDithering, vUv * ditherScale);
+          color = max(color + (noise.r - noise.g) / 255.0, vec3(0.0));
+        }
+
+        // Premultiplied alpha, so the dye composites over the background color or the page.
+        // The paper under subtractive dye is opaque.
+        float alpha = subtractive ? 1.0 : max(color.r, max(color.g, color.b));
+        gl_FragColor = vec4(color, alpha);
       }
     `;
 
-    const curlShaderSource = `
-      precision highp float;
-      precision highp sampler2D;
+    // Post-processing, after the upstream simulation. Bloom keeps what is brighter than the
+    // threshold, with a quadratic soft knee below it.
+    const bloomPrefilterShaderSource = `
+      precision mediump float;
+      precision mediump sampler2D;
       varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec3 curve;
+      uniform float threshold;
+
+      void main () {
+        vec3 c = texture2D(uTexture, vUv).rgb;
+        float br = max(c.r, max(c.g, c.b));
+        float rq = clamp(br - curve.x, 0.0, curve.y);
+        rq = curve.z * rq * rq;
+        c *= max(rq, br - threshold) / max(br, 0.0001);
+        gl_FragColor = vec4(c, 0.0);
+      }
+    `;
+
+    // Box filter on the four neighbours, for each step down and back up the bloom pyramid
+    const bloomBlurShaderSource = `
+      precision mediump float;
+      precision mediump sampler2D;
       varying vec2 vL;
       varying vec2 vR;
       varying vec2 vT;
       varying vec2 vB;
-      uniform sampler2D uVelocity;
+      uniform sampler2D uTexture;
 
       void main () {
-        float L = texture2D(uVelocity, vL).y;
-        float R = texture2D(uVelocity, vR).y;
-        float T = texture2D(uVelocity, vT).x;
-        float B = texture2D(uVelocity, vB).x;
-        float curl = R - L - T + B;
-        gl_FragColor = vec4(0.5 * curl, 0.0, 0.0, 1.0);
+        vec4 sum = vec4(0.0);
+        sum += texture2D(uTexture, vL);
+        sum += texture2D(uTexture, vR);
+        sum += texture2D(uTexture, vT);
+        sum += texture2D(uTexture, vB);
+        sum *= 0.25;
+        gl_FragColor = sum;
       }
     `;
 
-    const vorticityShaderSource = `
-      precision highp float;
-      precision highp sampler2D;
-      varying vec2 vUv;
+    const bloomFinalShaderSource = `
+      precision mediump float;
+      precision mediump sampler2D;
       varying vec2 vL;
       varying vec2 vR;
       varying vec2 vT;
       varying vec2 vB;
-      uniform sampler2D uVelocity;
-      uniform sampler2D uCurl;
-      uniform float curl;
-      uniform float dt;
+      uniform sampler2D uTexture;
+      uniform float intensity;
 
       void main () {
-        float L = texture2D(uCurl, vL).x;
-        float R = texture2D(uCurl, vR).x;
-        float T = texture2D(uCurl, vT).x;
-        float B = texture2D(uCurl, vB).x;
-        float C = texture2D(uCurl, vUv).x;
-        vec2 force = 0.5 * vec2(abs(T) - abs(B), abs(R) - abs(L));
-        force /= length(force) + 0.0001;
-        force *= curl * C;
-        force.y *= -1.0;
-        vec2 velocity = texture2D(uVelocity, vUv).xy;
-        velocity += force * dt;
-        gl_FragColor = vec4(velocity, 0.0, 1.0);
+        vec4 sum = vec4(0.0);
+        sum += texture2D(uTexture, vL);
+        sum += texture2D(uTexture, vR);
+        sum += texture2D(uTexture, vT);
+        sum += texture2D(uTexture, vB);
+        sum *= 0.25;
+        gl_FragColor = sum * intensity;
       }
     `;
 
-    const pressureShaderSource = `
+    // Sunrays: the dye blocks light, so the mask is opaque where it is dark
+    const sunraysMaskShaderSource = `
       precision highp float;
       precision highp sampler2D;
       varying vec2 vUv;
-      varying vec2 vL;
-      varying vec2 vR;
-      varying vec2 vT;
-      varying vec2 vB;
-      uniform sampler2D uPressure;
-      uniform sampler2D uDivergence;
+      uniform sampler2D uTexture;
 
       void main () {
-        float L = texture2D(uPressure, vL).x;
-        float R = texture2D(uPressure, vR).x;
-        float T = texture2D(uPressure, vT).x;
-        float B = texture2D(uPressure, vB).x;
-        float C = texture2D(uPressure, vUv).x;
-        float divergence = texture2D(uDivergence, vUv).x;
-        float pressure = (L + R + B + T - divergence) * 0.25;
-        gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
+        vec4 c = texture2D(uTexture, vUv);
+        float br = max(c.r, max(c.g, c.b));
+        c.a = 1.0 - min(max(br * 20.0, 0.0), 0.8);
+        gl_FragColor = c;
       }
     `;
 
-    const gradientSubtractShaderSource = `
+    // Radial blur of the mask towards the centre of the screen
+    const sunraysShaderSource = `
       precision highp float;
       precision highp sampler2D;
       varying vec2 vUv;
-      varying vec2 vL;
-      varying vec2 vR;
-      varying vec2 vT;
-      varying vec2 vB;
-      uniform sampler2D uPressure;
-      uniform sampler2D uVelocity;
+      uniform sampler2D uTexture;
+      uniform float weight;
+
+      #define ITERATIONS 16
 
       void main () {
-        float L = texture2D(uPressure, vL).x;
-        float R = texture2D(uPressure, vR).x;
-        float T = texture2D(uPressure, vT).x;
-        float B = texture2D(uPressure, vB).x;
-        vec2 velocity = texture2D(uVelocity, vUv).xy;
-        velocity.xy -= vec2(R - L, T - B);
-        gl_FragColor = vec4(velocity, 0.0, 1.0);
+        float Density = 0.3;
+        float Decay = 0.95;
+        float Exposure = 0.7;
+
+        vec2 coord = vUv;
+        vec2 dir = vUv - 0.5;
+        dir *= 1.0 / float(ITERATIONS) * Density;
+        float illuminationDecay = 1.0;
+
+        float color = texture2D(uTexture, vUv).a;
+
+        for (int i = 0; i < ITERATIONS; i++) {
+          coord -= dir;
+          float col = texture2D(uTexture, coord).a;
+          color += col * illuminationDecay * weight;
+          illuminationDecay *= Decay;
+        }
+
+        gl_FragColor = vec4(color * Exposure, 0.0, 0.0, 1.0);
       }
     `;
 
-    // Compile shaders and create programs
-    const vertexShader = compileShader(gl.VERTEX_SHADER, baseVertexShader);
-    
-    const displayProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, displayShaderSource));
-    const splatProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, splatShaderSource));
-    const advectionProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, advectionShaderSource));
-    const divergenceProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, divergenceShaderSource));
-    const curlProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, curlShaderSource));
-    const vorticityProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, vorticityShaderSource));
-    const pressureProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, pressureShaderSource));
-    const gradientSubtractProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, gradientSubtractShaderSource));
+    // Separable 5-tap gaussian in 3 bilinear samples, along `direction` (one texel)
+    const blurShaderSource = `
+      precision mediump float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec2 direction;
 
-    // Setup geometry
-    const blit = (() => {
-      // Create a quad
-      const buffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, -1, -1, 1, 1, 1, -1]), gl.STATIC_DRAW);
-      gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
-      gl.enableVertexAttribArray(0);
-      
-      return (target, clear = false) => {
-        if (target) {
-          gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
-          gl.viewport(0, 0, target.width, target.height);
+      void main () {
+        vec2 offset = direction * 1.33333333;
+        vec4 sum = texture2D(uTexture, vUv) * 0.29411764;
+        sum += texture2D(uTexture, vUv - offset) * 0.35294117;
+        sum += texture2D(uTexture, vUv + offset) * 0.35294117;
+        gl_FragColor = sum;
+      }
+    `;
+
+    // Scientific view of a solver field. Modes: 0 vector magnitude, 1 vector direction as hue, 2 signed scalar,
+    // 3 unsigned scalar. Colormaps: 0 viridis, 1 diverging, 2 blackbody.
+    const fieldDisplayShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uField;
+      uniform int mode;
+      uniform int colormap;
+      uniform float range;
+      uniform bool glow;
+
+      vec3 viridis (float t) {
+        const vec3 c0 = vec3(0.2777273272234177, 0.005407344544966578, 0.3340998053353061);
+        const vec3 c1 = vec3(0.1050930431085774, 1.404613529898575, 1.384590162594685);
+        const vec3 c2 = vec3(-0.3308618287255563, 0.214847559468213, 0.09509516302823659);
+        const vec3 c3 = vec3(-4.634230498983486, -5.799100973351585, -19.33244095627987);
+        const vec3 c4 = vec3(6.228269936347081, 14.17993336680509, 56.69055260068105);
+        const vec3 c5 = vec3(4.776384997670288, -13.74514537774601, -65.35303263337234);
+        const vec3 c6 = vec3(-5.435455855934631, 4.645852612178535, 26.3124352495832);
+        return c0 + t * (c1 + t * (c2 + t * (c3 + t * (c4 + t * (c5 + t * c6)))));
+      }
+
+      // Blue through white to red
+      vec3 blueRed (float t) {
+        vec3 blue = vec3(0.230, 0.299, 0.754);
+        vec3 white = vec3(0.865, 0.865, 0.865);
+        vec3 red = vec3(0.706, 0.016, 0.150);
+        return t < 0.5 ? mix(blue, white, t * 2.0) : mix(white, red, t * 2.0 - 1.0);
+      }
+
+      // Black through red and yellow to white, like glowing embers
+      vec3 blackbody (float t) {
+        return vec3(smoothstep(0.0, 0.4, t), smoothstep(0.25, 0.75, t), smoothstep(0.6, 1.0, t));
+      }
+
+      vec3 hsv2rgb (vec3 c) {
+        vec3 p = abs(fract(c.xxx + vec3(1.0, 2.0 / 3.0, 1.0 / 3.0)) * 6.0 - 3.0);
+        return c.z * mix(vec3(1.0), clamp(p - 1.0, 0.0, 1.0), c.y);
+      }
+
+      void main () {
+        vec2 value = texture2D(uField, vUv).xy;
+        vec3 color;
+
+        if (mode == 1) {
+          float hue = atan(value.y, value.x) / 6.2831853 + 0.5;
+          color = hsv2rgb(vec3(hue, 1.0, clamp(length(value) / range, 0.0, 1.0)));
         } else {
-          gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-          gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+          // Magnitudes cover the whole colormap, or the upper half for blue-red;
+          // signed values are centred on the middle of any of them
+          float t = mode == 0 ? length(value) / range : value.x / range;
+          float c = (mode != 2 && colormap != 1) ? t : t * 0.5 + 0.5;
+          c = clamp(c, 0.0, 1.0);
+          color = colormap == 1 ? blueRed(c) : colormap == 2 ? blackbody(c) : viridis(c);
         }
-        
-        if (clear) {
-          gl.clearColor(0.0, 0.0, 0.0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
+
+        // A glow is premultiplied with its brightness as alpha, so it lights up what is beneath it
+        gl_FragColor = vec4(color, glow ? max(color.r, max(color.g, color.b)) : 1.0);
+      }
+    `;
+
+    // Arrow glyphs on a grid, one per cell, scaled by the velocity at the cell centre
+    const arrowShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform vec2 cells;
+      uniform float range;
+
+      float segment (vec2 p, vec2 a, vec2 b) {
+        vec2 pa = p - a;
+        vec2 ba = b - a;
+        float h = clamp(dot(pa, ba) / max(dot(ba, ba), 0.000001), 0.0, 1.0);
+        return length(pa - ba * h);
+      }
+
+      void main () {
+        vec2 cellPosition = vUv * cells;
+        vec2 cell = floor(cellPosition);
+        vec2 p = cellPosition - cell - 0.5;
+        vec2 v = texture2D(uVelocity, (cell + 0.5) / cells).xy;
+
+        // Half length in cells, up to just under half a cell at the top of the range
+        float speed = length(v);
+        float halfLength = 0.45 * clamp(speed / range, 0.0, 1.0);
+        vec2 dir = speed > 0.0 ? v / speed : vec2(1.0, 0.0);
+        vec2 tip = dir * halfLength;
+        vec2 back = -dir * halfLength * 0.5;
+        vec2 side = vec2(-back.y, back.x) * 0.6;
+
+        float d = segment(p, -tip, tip);
+        d = min(d, segment(p, tip, tip + back + side));
+        d = min(d, segment(p, tip, tip + back - side));
+
+        float alpha = (1.0 - smoothstep(0.02, 0.05, d)) * step(0.02, halfLength);
+        gl_FragColor = vec4(vec3(alpha), alpha);
+      }
+    `;
+
+    // Line integral convolution: noise smeared along the flow, so its texture follows the streamlines
+    const streamlineShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uNoise;
+      uniform vec2 pixelSize;
+      uniform vec2 noiseScale;
+      uniform float range;
+
+      void main () {
+        float sum = texture2D(uNoise, vUv * noiseScale).r;
+        float weight = 1.0;
+
+        for (int direction = 0; direction < 2; direction++) {
+          vec2 p = vUv;
+          float orientation = direction == 0 ? 1.0 : -1.0;
+          for (int i = 1; i <= 16; i++) {
+            vec2 v = texture2D(uVelocity, p).xy;
+            float speed = length(v);
+            if (speed < 0.00001) break;
+            p += orientation * (v / speed) * pixelSize;
+            float w = 1.0 - float(i) / 17.0;
+            sum += texture2D(uNoise, p * noiseScale).r * w;
+            weight += w;
+          }
         }
-        
-        // Draw the quad
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
-      };
-    })();
 
-    // Calculate aspect ratio for simulation
-    function getResolution(resolution) {
-      const aspectRatio = canvas.width / canvas.height;
-      if (aspectRatio < 1) {
-        return { width: Math.round(resolution), height: Math.round(resolution / aspectRatio) };
-      } else {
-        return { width: Math.round(resolution * aspectRatio), height: Math.round(resolution) };
+        // Stretch the averaged noise back out, and fade the streaks where the fluid is still
+        float lic = clamp((sum / weight - 0.5) * 3.0 + 0.6, 0.0, 1.0);
+        float visibility = clamp(length(texture2D(uVelocity, vUv).xy) / range * 4.0, 0.0, 1.0);
+        gl_FragColor = vec4(vec3(mix(1.0, lic, 0.8 * visibility)), 1.0);
       }
-    }
+    `;
+
+    const splatShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTarget;
+      uniform float aspectRatio;
+      uniform vec3 color;
+      uniform vec2 point;
+      uniform float radius;
+      uniform int profile;
+      ${wrapShaderChunk}
 
-    // Initialize simulation framebuffers
-    let simRes = getResolution(config.SIM_RESOLUTION);
-    let dyeRes = getResolution(config.DYE_RESOLUTION);
+      // 0 gaussian, 1 linear, 2 constant, 3 smooth. The finite profiles end where the gaussian
+      // has faded to about 2%, at twice the square root of the radius.
+      float falloff (float d2) {
+        if (profile == 0) return exp(-d2 / radius);
+        float t = min(sqrt(d2 / radius) * 0.5, 1.0);
+        if (profile == 1) return 1.0 - t;
+        if (profile == 2) return 1.0 - step(1.0, t);
+        return 1.0 - smoothstep(0.0, 1.0, t);
+      }
 
-    const texType = ext.halfFloatTexType;
-    const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+      void main () {
+        vec2 p = wrapOffset(vUv - point.xy);
+        p.x *= aspectRatio;
+        vec3 splat = falloff(dot(p, p)) * color;
+        vec3 base = texture2D(uTarget, vUv).xyz;
+        gl_FragColor = vec4(base + splat, 1.0);
+      }
+    `;
 
-    let density = createDoubleFBO(
-      dyeRes.width,
-      dyeRes.height,
-      ext.formatRGBA.internalFormat,
-      ext.formatRGBA.format,
-      texType,
-      filterType
-    );
-    
-    let velocity = createDoubleFBO(
-      simRes.width,
-      simRes.height,
-      ext.formatRG.internalFormat,
-      ext.formatRG.format,
-      texType,
-      filterType
-    );
-    
-    let divergence = createFBO(
-      simRes.width,
-      simRes.height,
-      ext.formatR.internalFormat,
-      ext.formatR.format,
-      texType,
-      gl.NEAREST
-    );
-    
-    let curl = createFBO(
-      simRes.width,
-      simRes.height,
-      ext.formatR.internalFormat,
-      ext.formatR.format,
-      texType,
-      gl.NEAREST
-    );
-    
-    let pressure = createDoubleFBO(
-      simRes.width,
-      simRes.height,
-      ext.formatR.internalFormat,
-      ext.formatR.format,
-      texType,
-      gl.NEAREST
-    );
-
-    // Mouse Interaction state
-    const pointer = {
-      x: 0,
-      y: 0,
-      dx: 0,
-      dy: 0,
-      down: false,
-      moved: false,
-      color: { r: 0, g: 0, b: 0 }
-    };
+    // Continuous injection from a point or line segment: along a direction, or radially outwards
+    const emitterShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTarget;
+      uniform float aspectRatio;
+      uniform vec2 pointA;
+      uniform vec2 pointB;
+      uniform float radius;
+      uniform vec3 value;
+      uniform bool radial;
+      ${wrapShaderChunk}
 
-    // Simulation functions
-    function applyInputs() {
-      if (pointer.moved && pointer.down) {
-        pointer.moved = false;
-        
-        const aspectRatio = canvas.width / canvas.height;
-        let velocity = 10.0 * pointer.dx;
-        let force = 10.0 * pointer.dy;
-        
-        splat(
-          pointer.x / canvas.width,
-          1.0 - pointer.y / canvas.height,
-          velocity,
-          -force,
-          pointer.color
-        );
+      void main () {
+        // Offset from the closest point on the segment (a point when A == B), in aspect-corrected units
+        vec2 p = wrapOffset(vUv - pointA);
+        vec2 ab = pointB - pointA;
+        p.x *= aspectRatio;
+        ab.x *= aspectRatio;
+        float t = clamp(dot(p, ab) / max(dot(ab, ab), 0.00000001), 0.0, 1.0);
+        vec2 d = p - ab * t;
+
+        // Radial sources push by value.x away from the centre; negative values make a sink
+        vec3 amount = value;
+        if (radial) {
+          amount = vec3(value.x * d / (length(d) + 0.0001), 0.0);
+        }
+
+        vec3 base = texture2D(uTarget, vUv).xyz;
+        gl_FragColor = vec4(base + exp(-dot(d, d) / radius) * amount, 1.0);
       }
-    }
+    `;
 
-    function splat(x, y, dx, dy, color) {
-      splatProgram.bind();
-      gl.uniform1i(splatProgram.uniforms.uTarget, velocity.read.attach(0));
-      gl.uniform1f(splatProgram.uniforms.aspectRatio, canvas.width / canvas.height);
-      gl.uniform2f(splatProgram.uniforms.point, x, y);
-      gl.uniform3f(splatProgram.uniforms.color, dx, dy, 0.0);
-      gl.uniform1f(splatProgram.uniforms.radius, config.SPLAT_RADIUS / 100.0);
-      blit(velocity.write);
-      velocity.swap();
+    // Adds a velocity field sampled from a texture, flipping its y from screen orientation
+    const forceShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uForce;
+      uniform bool encoded;
+      uniform float strength;
 
-      gl.uniform1i(splatProgram.uniforms.uTarget, density.read.attach(0));
-      gl.uniform3f(splatProgram.uniforms.color, color.r, color.g, color.b);
-      blit(density.write);
-      density.swap();
-    }
+      void main () {
+        vec2 force = texture2D(uForce, vUv).xy;
+        if (encoded) force = force * 2.0 - 1.0;
+        force.y = -force.y;
+        vec2 velocity = texture2D(uVelocity, vUv).xy;
+        gl_FragColor = vec4(velocity + force * strength, 0.0, 1.0);
+      }
+    `;
+
+    // Blends an image or video frame, fitted with `scale`, into the dye
+    const dyeSourceShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTarget;
+      uniform sampler2D uImage;
+      uniform vec2 scale;
+      uniform float amount;
+      uniform bool subtractive;
+
+      void main () {
+        vec2 uv = (vUv - 0.5) / scale + 0.5;
+        vec4 image = texture2D(uImage, uv);
+        vec3 base = texture2D(uTarget, vUv).rgb;
+
+        // As ink, the image becomes the absorbance that filters white paper to its colors
+        if (subtractive) {
+          image.rgb = -log(max(image.rgb, 0.02));
+        }
+
+        // Outside the fitted image the dye is left alone
+        float inside = step(0.0, uv.x) * step(uv.x, 1.0) * step(0.0, uv.y) * step(uv.y, 1.0);
+        gl_FragColor = vec4(mix(base, image.rgb, amount * image.a * inside), 1.0);
+      }
+    `;
+
+    // Hot fluid rises against gravity and dye weighs it down (Fedkiw et al., "Visual Simulation of Smoke").
+    // The temperature field holds the difference from ambient, so fluid at rest feels no force.
+    const buoyancyShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uTemperature;
+      uniform sampler2D uDensity;
+      uniform vec2 up;
+      uniform float buoyancy;
+      uniform float weight;
+      uniform float dt;
+
+      void main () {
+        vec2 velocity = texture2D(uVelocity, vUv).xy;
+        float heat = texture2D(uTemperature, vUv).x;
+        float smoke = dot(texture2D(uDensity, vUv).rgb, vec3(1.0 / 3.0));
+        velocity += dt * (buoyancy * heat - weight * smoke) * up;
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+      }
+    `;
+
+    // Shared by the solver passes that respect obstacles and closed edges
+    const boundaryShaderChunk = `
+      uniform sampler2D uObstacles;
+      uniform bool closedEdges;
+      ${wrapShaderChunk}
+
+      // 1.0 inside an obstacle or, with closed edges, beyond the canvas border
+      float solid (vec2 uv) {
+        if (closedEdges && (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0)) {
+          return 1.0;
+        }
+        return step(0.5, texture2D(uObstacles, wrap(uv)).x);
+      }
+    `;
+
+    // Sampling for the advection passes, which look up fields between texels
+    const advectionShaderChunk = `
+      uniform vec2 sourceTexelSize;
+      uniform bool hardwareWrap;
+      ${boundaryShaderChunk}
+
+      // Bilinear filtering that wraps across the domain edges, for textures that can't use REPEAT
+      vec4 sampleWrapped (sampler2D tex, vec2 uv, vec2 tsize) {
+        vec2 st = uv / tsize - 0.5;
+        vec2 iuv = floor(st);
+        vec2 fuv = fract(st);
+        vec4 a = texture2D(tex, fract((iuv + vec2(0.5, 0.5)) * tsize));
+        vec4 b = texture2D(tex, fract((iuv + vec2(1.5, 0.5)) * tsize));
+        vec4 c = texture2D(tex, fract((iuv + vec2(0.5, 1.5)) * tsize));
+        vec4 d = texture2D(tex, fract((iuv + vec2(1.5, 1.5)) * tsize));
+        return mix(mix(a, b, fuv.x), mix(c, d, fuv.x), fuv.y);
+      }
+
+      vec4 sampleField (sampler2D tex, vec2 uv) {
+        if (periodic && !hardwareWrap) {
+          return sampleWrapped(tex, uv, sourceTexelSize);
+        }
+        return texture2D(tex, wrap(uv));
+      }
+    `;
+
+    const advectionShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uSource;
+      uniform vec2 texelSize;
+      uniform float dt;
+      uniform float dissipation;
+      ${advectionShaderChunk}
+
+      void main () {
+        // Nothing moves inside a solid
+        if (solid(vUv) > 0.5) {
+          gl_FragColor = vec4(0.0);
+          return;
+        }
+
+        vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
+        // Decay at a rate per second, so the fade doesn't depend on the step size
+        float decay = 1.0 + dissipation * dt;
+        gl_FragColor = sampleField(uSource, coord) / decay;
+      }
+    `;
+
+    // Final pass of the MacCormack and BFECC schemes (Selle et al., "An Unconditionally Stable MacCormack
+    // Method"). The corrected value is clamped to the source texels around the backtraced point, which
+    // stops the correction from overshooting into new extremes.
+    const limitedAdvectionShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uSource;
+      uniform sampler2D uForward;
+      uniform sampler2D uBackward;
+      uniform sampler2D uCorrected;
+      uniform vec2 texelSize;
+      uniform float dt;
+      uniform float dissipation;
+      uniform bool bfecc;
+      ${advectionShaderChunk}
+
+      void main () {
+        if (solid(vUv) > 0.5) {
+          gl_FragColor = vec4(0.0);
+          return;
+        }
+
+        vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
+
+        // MacCormack corrects the forward step by half its round trip error; BFECC corrects the
+        // source first and advects that
+        vec4 value = bfecc
+          ? sampleField(uCorrected, coord)
+          : texture2D(uForward, vUv) + 0.5 * (texture2D(uSource, vUv) - texture2D(uBackward, vUv));
+
+        vec2 st = coord / sourceTexelSize - 0.5;
+        vec2 iuv = floor(st);
+        vec4 a = texture2D(uSource, wrap((iuv + vec2(0.5, 0.5)) * sourceTexelSize));
+        vec4 b = texture2D(uSource, wrap((iuv + vec2(1.5, 0.5)) * sourceTexelSize));
+        vec4 c = texture2D(uSource, wrap((iuv + vec2(0.5, 1.5)) * sourceTexelSize));
+        vec4 d = texture2D(uSource, wrap((iuv + vec2(1.5, 1.5)) * sourceTexelSize));
+        value = clamp(value, min(min(a, b), min(c, d)), max(max(a, b), max(c, d)));
+
+        float decay = 1.0 + dissipation * dt;
+        gl_FragColor = value / decay;
+      }
+    `;
+
+    // BFECC's corrected source, the original plus half the error of a forward and backward round trip
+    const errorCorrectionShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uSource;
+      uniform sampler2D uBackward;
+
+      void main () {
+        vec4 source = texture2D(uSource, vUv);
+        gl_FragColor = source + 0.5 * (source - texture2D(uBackward, vUv));
+      }
+    `;
+
+    // One Jacobi iteration of implicit diffusion, (1 + 4a) x - a (L + R + T + B) = source
+    const diffusionShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uX;
+      uniform sampler2D uSource;
+      uniform float alpha;
+      ${boundaryShaderChunk}
+
+      void main () {
+        vec4 source = texture2D(uSource, vUv);
+        if (solid(vUv) > 0.5) {
+          gl_FragColor = source;
+          return;
+        }
+
+        vec4 C = texture2D(uX, vUv);
+        vec4 L = texture2D(uX, wrap(vL));
+        vec4 R = texture2D(uX, wrap(vR));
+        vec4 T = texture2D(uX, wrap(vT));
+        vec4 B = texture2D(uX, wrap(vB));
+
+        // Nothing diffuses into a wall
+        if (solid(vL) > 0.5) { L = C; }
+        if (solid(vR) > 0.5) { R = C; }
+        if (solid(vT) > 0.5) { T = C; }
+        if (solid(vB) > 0.5) { B = C; }
+
+        gl_FragColor = (source + alpha * (L + R + T + B)) / (1.0 + 4.0 * alpha);
+      }
+    `;
+
+    const divergenceShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uVelocity;
+      ${boundaryShaderChunk}
+
+      void main () {
+        float L = texture2D(uVelocity, wrap(vL)).x;
+        float R = texture2D(uVelocity, wrap(vR)).x;
+        float T = texture2D(uVelocity, wrap(vT)).y;
+        float B = texture2D(uVelocity, wrap(vB)).y;
+
+        // Walls reflect the normal velocity, so no fluid flows through them
+        vec2 C = texture2D(uVelocity, vUv).xy;
+        if (solid(vL) > 0.5) { L = -C.x; }
+        if (solid(vR) > 0.5) { R = -C.x; }
+        if (solid(vT) > 0.5) { T = -C.y; }
+        if (solid(vB) > 0.5) { B = -C.y; }
+
+        float div = 0.5 * (R - L + T - B);
+        gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
+      }
+    `;
+
+    const curlShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uVelocity;
+      ${wrapShaderChunk}
+
+      void main () {
+        float L = texture2D(uVelocity, wrap(vL)).y;
+        float R = texture2D(uVelocity, wrap(vR)).y;
+        float T = texture2D(uVelocity, wrap(vT)).x;
+        float B = texture2D(uVelocity, wrap(vB)).x;
+        float curl = R - L - T + B;
+        gl_FragColor = vec4(0.5 * curl, 0.0, 0.0, 1.0);
+      }
+    `;
+
+    const vorticityShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uCurl;
+      uniform float curl;
+      uniform float dt;
+      ${wrapShaderChunk}
+
+      void main () {
+        float L = texture2D(uCurl, wrap(vL)).x;
+        float R = texture2D(uCurl, wrap(vR)).x;
+        float T = texture2D(uCurl, wrap(vT)).x;
+        float B = texture2D(uCurl, wrap(vB)).x;
+        float C = texture2D(uCurl, vUv).x;
+        vec2 force = 0.5 * vec2(abs(T) - abs(B), abs(R) - abs(L));
+        force /= length(force) + 0.0001;
+        force *= curl * C;
+        force.y *= -1.0;
+        vec2 velocity = texture2D(uVelocity, vUv).xy;
+        velocity += force * dt;
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+      }
+    `;
+
+    const pressureShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uPressure;
+      uniform sampler2D uDivergence;
+      ${boundaryShaderChunk}
+
+      void main () {
+        float L = texture2D(uPressure, wrap(vL)).x;
+        float R = texture2D(uPressure, wrap(vR)).x;
+        float T = texture2D(uPressure, wrap(vT)).x;
+        float B = texture2D(uPressure, wrap(vB)).x;
+        float C = texture2D(uPressure, vUv).x;
+
+        // Solid neighbours take this cell's pressure, so there is no gradient into a wall
+        if (solid(vL) > 0.5) { L = C; }
+        if (solid(vR) > 0.5) { R = C; }
+        if (solid(vT) > 0.5) { T = C; }
+        if (solid(vB) > 0.5) { B = C; }
+
+        float divergence = texture2D(uDivergence, vUv).x;
+        float pressure = (L + R + B + T - divergence) * 0.25;
+        gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
+      }
+    `;
+
+    const gradientSubtractShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uPressure;
+      uniform sampler2D uVelocity;
+      uniform bool noSlip;
+      ${boundaryShaderChunk}
+
+      void main () {
+        if (solid(vUv) > 0.5) {
+          gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+          return;
+        }
+
+        float C = texture2D(uPressure, vUv).x;
+        float L = solid(vL) > 0.5 ? C : texture2D(uPressure, wrap(vL)).x;
+        float R = solid(vR) > 0.5 ? C : texture2D(uPressure, wrap(vR)).x;
+        float T = solid(vT) > 0.5 ? C : texture2D(uPressure, wrap(vT)).x;
+        float B = solid(vB) > 0.5 ? C : texture2D(uPressure, wrap(vB)).x;
+        vec2 velocity = texture2D(uVelocity, vUv).xy;
+        velocity.xy -= vec2(R - L, T - B);
+
+        // Next to a wall the normal component stops (free-slip); no-slip walls also stop the tangential one
+        vec2 mask = vec2(1.0);
+        if (solid(vL) > 0.5 || solid(vR) > 0.5) { mask.x = 0.0; }
+        if (solid(vT) > 0.5 || solid(vB) > 0.5) { mask.y = 0.0; }
+        if (noSlip && mask != vec2(1.0)) { mask = vec2(0.0); }
+        velocity *= mask;
+
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+      }
+    `;
+
+    // Paints a hard-edged disc into the obstacle mask (value 1.0 adds, 0.0 erases)
+    const obstacleShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTarget;
+      uniform float aspectRatio;
+      uniform vec2 point;
+      uniform float radius;
+      uniform float value;
+      ${wrapShaderChunk}
+
+      void main () {
+        vec2 p = wrapOffset(vUv - point.xy);
+        p.x *= aspectRatio;
+        float inside = step(length(p), radius);
+        float base = texture2D(uTarget, vUv).x;
+        gl_FragColor = vec4(mix(base, value, inside), 0.0, 0.0, 1.0);
+      }
+    `;
+
+    // Turns an image into an obstacle mask, fitted inside the canvas
+    const obstacleImageShaderSource = `
+      precision highp float;
+      precision highp sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uImage;
+      uniform vec2 scale;
+      uniform float threshold;
+      uniform bool useLuminance;
+      uniform bool invert;
+
+      void main () {
+        vec2 uv = (vUv - 0.5) / scale + 0.5;
+        vec4 texel = texture2D(uImage, uv);
+        float coverage = useLuminance ? dot(texel.rgb, vec3(0.299, 0.587, 0.114)) : texel.a;
+
+        // Outside the fitted image is open fluid
+        if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+          coverage = 0.0;
+        }
+
+        float isSolid = step(threshold, coverage);
+        if (invert) {
+          isSolid = 1.0 - isSolid;
+        }
+        gl_FragColor = vec4(isSolid, 0.0, 0.0, 1.0);
+      }
+    `;
+
+    // Shader programs, rebuilt from source whenever the context is restored
+    let vertexShader;
+    let programs = [];
+    let copyProgram;
+    let packProgram;
+    let clearProgram;
+    let displayProgram;
+    let splatProgram;
+    let advectionProgram;
+    let divergenceProgram;
+    let curlProgram;
+    let vorticityProgram;
+    let pressureProgram;
+    let gradientSubtractProgram;
+    let obstacleProgram;
+    let obstacleImageProgram;
+    let emitterProgram;
+    let forceProgram;
+    let dyeSourceProgram;
+    let fieldDisplayProgram;
+    let arrowProgram;
+    let streamlineProgram;
+    let bloomPrefilterProgram;
+    let bloomBlurProgram;
+    let bloomFinalProgram;
+    let sunraysMaskProgram;
+    let sunraysProgram;
+    let blurProgram;
+    let buoyancyProgram;
+    let diffusionProgram;
+    let limitedAdvectionProgram;
+    let errorCorrectionProgram;
+
+    // Compile shaders and create programs
+    function initPrograms() {
+      vertexShader = compileShader(gl.VERTEX_SHADER, baseVertexShader);
+      
+      copyProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, copyShaderSource));
+      packProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, packShaderSource));
+      clearProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, clearShaderSource));
+      displayProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, displayShaderSource));
+      splatProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, splatShaderSource));
+      advectionProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, advectionShaderSource));
+      divergenceProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, divergenceShaderSource));
+      curlProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, curlShaderSource));
+      vorticityProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, vorticityShaderSource));
+      pressureProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, pressureShaderSource));
+      gradientSubtractProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, gradientSubtractShaderSource));
+      obstacleProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, obstacleShaderSource));
+      obstacleImageProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, obstacleImageShaderSource));
+      emitterProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, emitterShaderSource));
+      forceProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, forceShaderSource));
+      dyeSourceProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, dyeSourceShaderSource));
+      fieldDisplayProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, fieldDisplayShaderSource));
+      arrowProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, arrowShaderSource));
+      streamlineProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, streamlineShaderSource));
+      bloomPrefilterProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, bloomPrefilterShaderSource));
+      bloomBlurProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, bloomBlurShaderSource));
+      bloomFinalProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, bloomFinalShaderSource));
+      sunraysMaskProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, sunraysMaskShaderSource));
+      sunraysProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, sunraysShaderSource));
+      blurProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, blurShaderSource));
+      buoyancyProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, buoyancyShaderSource));
+      diffusionProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, diffusionShaderSource));
+      limitedAdvectionProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, limitedAdvectionShaderSource));
+      errorCorrectionProgram = new Program(vertexShader, compileShader(gl.FRAGMENT_SHADER, errorCorrectionShaderSource));
+      
+      programs = [
+        copyProgram,
+        packProgram,
+        clearProgram,
+        displayProgram,
+        splatProgram,
+        advectionProgram,
+        divergenceProgram,
+        curlProgram,
+        vorticityProgram,
+        pressureProgram,
+        gradientSubtractProgram,
+        obstacleProgram,
+        obstacleImageProgram,
+        emitterProgram,
+        forceProgram,
+        dyeSourceProgram,
+        fieldDisplayProgram,
+        arrowProgram,
+        streamlineProgram,
+        bloomPrefilterProgram,
+        bloomBlurProgram,
+        bloomFinalProgram,
+        sunraysMaskProgram,
+        sunraysProgram,
+        blurProgram,
+        buoyancyProgram,
+        diffusionProgram,
+        limitedAdvectionProgram,
+        errorCorrectionProgram
+      ];
+    }
+
+    initPrograms();
+
+    // Setup geometry
+    let quadBuffer;
+    
+    function initBlit() {
+      // Create a quad
+      quadBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, -1, -1, 1, 1, 1, -1]), gl.STATIC_DRAW);
+      gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+      gl.enableVertexAttribArray(0);
+    }
+    
+    function blit(target, clear = false) {
+      if (target) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.viewport(0, 0, target.width, target.height);
+      } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+      }
+      
+      if (clear) {
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+      }
+      
+      // Draw the quad
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    initBlit();
+
+    // Calculate aspect ratio for simulation
+    function getResolution(resolution) {
+      const aspectRatio = canvas.width / canvas.height;
+      if (aspectRatio < 1) {
+        return { width: Math.round(resolution), height: Math.round(resolution / aspectRatio) };
+      } else {
+        return { width: Math.round(resolution * aspectRatio), height: Math.round(resolution) };
+      }
+    }
+
+    // Simulation framebuffers
+    let simRes;
+    let dyeRes;
+    let density;
+    let velocity;
+    let divergence;
+    let curl;
+    let pressure;
+    let obstacles;
+    let temperature;
+    let simAdvectionTemps = null; // Scratch targets for the MacCormack and BFECC schemes
+    let dyeAdvectionTemps = null;
+    let bloom;
+    let bloomFramebuffers = [];
+    let sunrays;
+    let sunraysTemp;
+
+    // Create the framebuffers, or resample the existing ones whose size no longer matches the config
+    function initFramebuffers() {
+      simRes = getResolution(config.SIM_RESOLUTION);
+      dyeRes = getResolution(config.DYE_RESOLUTION);
+
+      const texType = ext.halfFloatTexType;
+      const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+
+      gl.disable(gl.BLEND);
+
+      if (!density) {
+        density = createDoubleFBO(
+          dyeRes.width,
+          dyeRes.height,
+          ext.formatRGBA.internalFormat,
+          ext.formatRGBA.format,
+          texType,
+          filterType
+        );
+      } else {
+        density = resizeDoubleFBO(
+          density,
+          dyeRes.width,
+          dyeRes.height,
+          ext.formatRGBA.internalFormat,
+          ext.formatRGBA.format,
+          texType,
+          filterType
+        );
+      }
+
+      if (!velocity) {
+        velocity = createDoubleFBO(
+          simRes.width,
+          simRes.height,
+          ext.formatRG.internalFormat,
+          ext.formatRG.format,
+          texType,
+          filterType
+        );
+      } else {
+        velocity = resizeDoubleFBO(
+          velocity,
+          simRes.width,
+          simRes.height,
+          ext.formatRG.internalFormat,
+          ext.formatRG.format,
+          texType,
+          filterType
+        );
+      }
+
+      if (!pressure) {
+        pressure = createDoubleFBO(
+          simRes.width,
+          simRes.height,
+          ext.formatR.internalFormat,
+          ext.formatR.format,
+          texType,
+          gl.NEAREST
+        );
+      } else {
+        pressure = resizeDoubleFBO(
+          pressure,
+          simRes.width,
+          simRes.height,
+          ext.formatR.internalFormat,
+          ext.formatR.format,
+          texType,
+          gl.NEAREST
+        );
+      }
+
+      // The obstacle mask is kept at dye resolution so painted shapes and logos stay crisp
+      if (!obstacles) {
+        obstacles = createDoubleFBO(
+          dyeRes.width,
+          dyeRes.height,
+          gl.RGBA,
+          gl.RGBA,
+          gl.UNSIGNED_BYTE,
+          gl.LINEAR
+        );
+      } else {
+        obstacles = resizeDoubleFBO(
+          obstacles,
+          dyeRes.width,
+          dyeRes.height,
+          gl.RGBA,
+          gl.RGBA,
+          gl.UNSIGNED_BYTE,
+          gl.LINEAR
+        );
+      }
+
+      if (!temperature) {
+        temperature = createDoubleFBO(
+          simRes.width,
+          simRes.height,
+          ext.formatR.internalFormat,
+          ext.formatR.format,
+          texType,
+          filterType
+        );
+      } else {
+        temperature = resizeDoubleFBO(
+          temperature,
+          simRes.width,
+          simRes.height,
+          ext.formatR.internalFormat,
+          ext.formatR.format,
+          texType,
+          filterType
+        );
+      }
+
+      // Divergence and curl are recomputed every step, so they only need to match the size
+      if (!divergence || divergence.width !== simRes.width || divergence.height !== simRes.height) {
+        if (divergence) deleteFBO(divergence);
+        divergence = createFBO(
+          simRes.width,
+          simRes.height,
+          ext.formatR.internalFormat,
+          ext.formatR.format,
+          texType,
+          gl.NEAREST
+        );
+      }
+
+      if (!curl || curl.width !== simRes.width || curl.height !== simRes.height) {
+        if (curl) deleteFBO(curl);
+        curl = createFBO(
+          simRes.width,
+          simRes.height,
+          ext.formatR.internalFormat,
+          ext.formatR.format,
+          texType,
+          gl.NEAREST
+        );
+      }
+      
+      // Bloom and sunrays follow their own resolution keys and the canvas, not the simulation
+      const bloomRes = getResolution(config.BLOOM_RESOLUTION);
+      if (!bloom || bloom.width !== bloomRes.width || bloom.height !== bloomRes.height) {
+        initBloomFramebuffers();
+      }
+      const sunraysRes = getResolution(config.SUNRAYS_RESOLUTION);
+      if (!sunrays || sunrays.width !== sunraysRes.width || sunrays.height !== sunraysRes.height) {
+        initSunraysFramebuffers();
+      }
+      updateWrapModes();
+    }
+
+    // Post-processing targets hold nothing between frames, so they are recreated instead of resampled
+    function initBloomFramebuffers() {
+      const res = getResolution(config.BLOOM_RESOLUTION);
+      const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+      
+      if (bloom) deleteFBO(bloom);
+      bloomFramebuffers.forEach(deleteFBO);
+      bloomFramebuffers = [];
+      
+      bloom = createFBO(res.width, res.height, ext.formatRGBA.internalFormat, ext.formatRGBA.format, ext.halfFloatTexType, filterType);
+      for (let i = 0; i < config.BLOOM_ITERATIONS; i++) {
+        const width = res.width >> (i + 1);
+        const height = res.height >> (i + 1);
+        if (width < 2 || height < 2) break;
+        bloomFramebuffers.push(
+          createFBO(width, height, ext.formatRGBA.internalFormat, ext.formatRGBA.format, ext.halfFloatTexType, filterType)
+        );
+      }
+    }
+
+    function initSunraysFramebuffers() {
+      const res = getResolution(config.SUNRAYS_RESOLUTION);
+      const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+      
+      if (sunrays) deleteFBO(sunrays);
+      if (sunraysTemp) deleteFBO(sunraysTemp);
+      sunrays = createFBO(res.width, res.height, ext.formatR.internalFormat, ext.formatR.format, ext.halfFloatTexType, filterType);
+      sunraysTemp = createFBO(res.width, res.height, ext.formatR.internalFormat, ext.formatR.format, ext.halfFloatTexType, filterType);
+    }
+
+    function isPowerOfTwo(value) {
+      return (value & (value - 1)) === 0;
+    }
+
+    // WebGL1 can only REPEAT power-of-two textures; other sizes wrap in the shaders instead
+    function textureWrapMode(target) {
+      const canRepeat = isPowerOfTwo(target.width) && isPowerOfTwo(target.height);
+      return config.EDGES === 'periodic' && canRepeat ? gl.REPEAT : gl.CLAMP_TO_EDGE;
+    }
+
+    function setTextureWrap(target) {
+      const mode = textureWrapMode(target);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, mode);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, mode);
+    }
+
+    // Apply the wrap mode for the current EDGES setting to every field texture
+    function updateWrapModes() {
+      [density, velocity, pressure, obstacles, temperature].forEach(target => {
+        setTextureWrap(target.read);
+        setTextureWrap(target.write);
+      });
+      setTextureWrap(divergence);
+      setTextureWrap(curl);
+      [simAdvectionTemps, dyeAdvectionTemps].forEach(temps => {
+        if (temps) temps.forEach(setTextureWrap);
+      });
+    }
+
+    initFramebuffers();
+
+    // Seeded random numbers (mulberry32), so a recording can reproduce the initial random splats
+    function createRandom(seed) {
+      let state = seed >>> 0;
+      return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    let seed = Math.floor(Math.random() * 4294967296);
+    let random = createRandom(seed);
+
+    // Interaction state: one entry per mouse, finger or pen
+    const input = createPointerInput(canvas, {
+      onPointerDown(pointer) {
+        pointer.colorPosition = random();
+        pointer.color = generateColor(pointer.colorPosition);
+      }
+    });
+    const pointers = input.pointers;
+
+    // Simulation functions
+    function applyInputs() {
+      // A replay owns the simulation; live input is dropped
+      if (replaying) {
+        pointers.forEach(pointer => {
+          pointer.moved = false;
+          pointer.dx = 0;
+          pointer.dy = 0;
+        });
+        return;
+      }
+      
+      pointers.forEach(pointer => {
+        if (!pointer.moved || !pointer.down) return;
+        pointer.moved = false;
+        
+        // Deltas accumulate across pointer events until a frame consumes them
+        const moveX = pointer.dx;
+        const moveY = pointer.dy;
+        pointer.dx = 0;
+        pointer.dy = 0;
+        
+        // Movement as a fraction of the canvas, corrected so both axes use the same scale
+        const aspectRatio = canvas.width / canvas.height;
+        let dx = moveX / canvas.width;
+        let dy = moveY / canvas.height;
+        if (aspectRatio < 1) dx *= aspectRatio;
+        if (aspectRatio > 1) dy /= aspectRatio;
+        
+        // Pen pressure scales the force, and pen tilt leans the push towards the tilt direction
+        const speed = Math.hypot(dx, dy);
+        let velocity = config.SPLAT_FORCE * pointer.pressure * (dx + pointer.tiltX * speed);
+        let force = config.SPLAT_FORCE * pointer.pressure * (dy + pointer.tiltY * speed);
+        
+        // Pressure also grows the splat, from half to one and a half times the configured radius
+        const radius = config.SPLAT_RADIUS * (0.5 + 0.5 * pointer.pressure);
+        
+        splat(
+          pointer.x / canvas.width,
+          1.0 - pointer.y / canvas.height,
+          velocity,
+          -force,
+          config.COLOR_MODE === 'speed' ? speedColor(velocity, force) : pointer.color,
+          radius
+        );
+      });
+    }
+
+    // Advance the rainbow clock, and cycle every pointer's color while COLORFUL is on
+    function updateColors(dt) {
+      colorTime += dt;
+      
+      pointers.forEach(pointer => {
+        if (pointer.colorPosition === undefined) return;
+        if (config.COLORFUL) {
+          pointer.colorPosition = (pointer.colorPosition + dt * config.COLOR_CYCLE_SPEED) % 1;
+        }
+        if (config.COLORFUL || config.COLOR_MODE === 'rainbow') {
+          pointer.color = generateColor(pointer.colorPosition);
+        }
+      });
+    }
+
+    const SPLAT_PROFILES = ['gaussian', 'linear', 'constant', 'smooth'];
+
+    function splat(x, y, dx, dy, color, radius = config.SPLAT_RADIUS, profile = 'gaussian') {
+      if (recording) {
+        recording.events.push({
+          step: stepIndex,
+          x,
+          y,
+          dx,
+          dy,
+          color: { r: color.r, g: color.g, b: color.b },
+          radius,
+          profile
+        });
+      }
+      
+      splatProgram.bind();
+      gl.uniform1i(splatProgram.uniforms.uTarget, velocity.read.attach(0));
+      gl.uniform1f(splatProgram.uniforms.aspectRatio, canvas.width / canvas.height);
+      gl.uniform2f(splatProgram.uniforms.point, x, y);
+      gl.uniform3f(splatProgram.uniforms.color, dx, dy, 0.0);
+      gl.uniform1f(splatProgram.uniforms.radius, radius / 100.0);
+      gl.uniform1i(splatProgram.uniforms.profile, SPLAT_PROFILES.indexOf(profile));
+      bindWrap(splatProgram);
+      blit(velocity.write);
+      velocity.swap();
+
+      const dye = toDye(color);
+      gl.uniform1i(splatProgram.uniforms.uTarget, density.read.attach(0));
+      gl.uniform3f(splatProgram.uniforms.color, dye.r, dye.g, dye.b);
+      blit(density.write);
+      density.swap();
+      
+      if (config.TEMPERATURE) {
+        gl.uniform1i(splatProgram.uniforms.uTarget, temperature.read.attach(0));
+        gl.uniform3f(splatProgram.uniforms.color, config.SPLAT_TEMPERATURE - config.AMBIENT_TEMPERATURE, 0.0, 0.0);
+        blit(temperature.write);
+        temperature.swap();
+      }
+    }
+
+    // Set the edge mode for a pass that includes wrapShaderChunk
+    function bindWrap(program) {
+      gl.uniform1i(program.uniforms.periodic, config.EDGES === 'periodic' ? 1 : 0);
+    }
+
+    // Bind the obstacle mask and edge mode for a pass that includes boundaryShaderChunk
+    function bindBoundaries(program) {
+      gl.uniform1i(program.uniforms.uObstacles, obstacles.read.attach(2));
+      gl.uniform1i(program.uniforms.closedEdges, config.EDGES === 'closed' ? 1 : 0);
+      bindWrap(program);
+    }
 
     function step(dt) {
       gl.disable(gl.BLEND);
       
-      // Calculate curl and vorticity
-      curlProgram.bind();
-      gl.uniform2f(curlProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
-      gl.uniform1i(curlProgram.uniforms.uVelocity, velocity.read.attach(0));
-      blit(curl);
+      if (replaying) {
+        applyReplayEvents();
+      }
+      
+      applyEmitters(dt);
+      applyForceFields(dt);
+      
+      // Continuous sources blend in at `strength` per second; a pending single blend waits for its first frame
+      if (dyeSource) {
+        applyDyeSource(dyeSource.mode === 'once' ? dyeSource.strength : dyeSource.strength * dt);
+      }
+      
+      // Calculate curl and vorticity
+      curlProgram.bind();
+      gl.uniform2f(curlProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(curlProgram.uniforms.uVelocity, velocity.read.attach(0));
+      bindWrap(curlProgram);
+      blit(curl);
+      
+      // Apply vorticity force
+      vorticityProgram.bind();
+      gl.uniform2f(vorticityProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(vorticityProgram.uniforms.uVelocity, velocity.read.attach(0));
+      gl.uniform1i(vorticityProgram.uniforms.uCurl, curl.attach(1));
+      gl.uniform1f(vorticityProgram.uniforms.curl, config.CURL);
+      gl.uniform1f(vorticityProgram.uniforms.dt, dt);
+      bindWrap(vorticityProgram);
+      blit(velocity.write);
+      velocity.swap();
+      
+      if (config.TEMPERATURE) {
+        applyBuoyancy(dt);
+      }
+      
+      // Advect velocity
+      simAdvectionTemps = advect(velocity, simAdvectionTemps, ext.formatRG, config.VELOCITY_DISSIPATION, dt);
+      
+      if (config.VISCOSITY > 0) {
+        velocityDiffusionSource = diffuse(velocity, velocityDiffusionSource, ext.formatRG, config.VISCOSITY * dt);
+      }
+      
+      // Advect density
+      dyeAdvectionTemps = advect(density, dyeAdvectionTemps, ext.formatRGBA, config.DENSITY_DISSIPATION, dt);
+      
+      // The dye grid is finer than the simulation grid, so the same spread covers more of its cells
+      if (config.DYE_DIFFUSION > 0) {
+        const scale = density.width / simRes.width;
+        densityDiffusionSource = diffuse(density, densityDiffusionSource, ext.formatRGBA, config.DYE_DIFFUSION * dt * scale * scale);
+      }
+      
+      // Advect temperature
+      if (config.TEMPERATURE) {
+        simAdvectionTemps = advect(temperature, simAdvectionTemps, ext.formatRG, config.TEMPERATURE_DISSIPATION, dt);
+      }
+      
+      // Calculate divergence
+      divergenceProgram.bind();
+      gl.uniform2f(divergenceProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(divergenceProgram.uniforms.uVelocity, velocity.read.attach(0));
+      bindBoundaries(divergenceProgram);
+      blit(divergence);
+      
+      // Decay the previous pressure, which seeds the solver below
+      clearProgram.bind();
+      gl.uniform1i(clearProgram.uniforms.uTexture, pressure.read.attach(0));
+      gl.uniform1f(clearProgram.uniforms.value, config.PRESSURE);
+      blit(pressure.write);
+      pressure.swap();
+      
+      pressureProgram.bind();
+      gl.uniform2f(pressureProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(pressureProgram.uniforms.uDivergence, divergence.attach(0));
+      bindBoundaries(pressureProgram);
+      
+      // Solve pressure iteratively
+      for (let i = 0; i < config.PRESSURE_ITERATIONS; i++) {
+        gl.uniform1i(pressureProgram.uniforms.uPressure, pressure.read.attach(1));
+        blit(pressure.write);
+        pressure.swap();
+      }
+      
+      // Subtract pressure gradient
+      gradientSubtractProgram.bind();
+      gl.uniform2f(gradientSubtractProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(gradientSubtractProgram.uniforms.uPressure, pressure.read.attach(0));
+      gl.uniform1i(gradientSubtractProgram.uniforms.uVelocity, velocity.read.attach(1));
+      gl.uniform1i(gradientSubtractProgram.uniforms.noSlip, config.BOUNDARY === 'no-slip' ? 1 : 0);
+      bindBoundaries(gradientSubtractProgram);
+      blit(velocity.write);
+      velocity.swap();
+      
+      stepIndex++;
+    }
+
+    // One semi-Lagrangian step of `source` along the velocity into `target`
+    function advectField(source, target, dissipation, dt) {
+      advectionProgram.bind();
+      gl.uniform2f(advectionProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(advectionProgram.uniforms.uVelocity, velocity.read.attach(0));
+      gl.uniform1i(advectionProgram.uniforms.uSource, source.attach(1));
+      gl.uniform1f(advectionProgram.uniforms.dt, dt);
+      gl.uniform1f(advectionProgram.uniforms.dissipation, dissipation);
+      gl.uniform2f(advectionProgram.uniforms.sourceTexelSize, 1.0 / source.width, 1.0 / source.height);
+      gl.uniform1i(advectionProgram.uniforms.hardwareWrap, textureWrapMode(source) === gl.REPEAT ? 1 : 0);
+      bindBoundaries(advectionProgram);
+      blit(target);
+    }
+
+    const ADVECTION_SCHEMES = ['semi-lagrangian', 'maccormack', 'bfecc'];
+
+    // Advect a double FBO with the ADVECTION scheme. MacCormack and BFECC need a forward and a backward
+    // scratch target at the field's size, which are created or resized to match and returned; the
+    // semi-Lagrangian scheme frees them.
+    function advect(target, temps, format, dissipation, dt) {
+      if (config.ADVECTION === 'semi-lagrangian') {
+        advectField(target.read, target.write, dissipation, dt);
+        target.swap();
+        if (temps) temps.forEach(deleteFBO);
+        return null;
+      }
+      
+      if (!temps || temps[0].width !== target.width || temps[0].height !== target.height) {
+        if (temps) temps.forEach(deleteFBO);
+        const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+        temps = [0, 1].map(() => {
+          const temp = createFBO(target.width, target.height, format.internalFormat, format.format, ext.halfFloatTexType, filterType);
+          setTextureWrap(temp);
+          return temp;
+        });
+      }
+      const [forward, backward] = temps;
+      
+      // A round trip, forwards and back again, measures the error of a single step
+      advectField(target.read, forward, 0.0, dt);
+      advectField(forward, backward, 0.0, -dt);
+      
+      const bfecc = config.ADVECTION === 'bfecc';
+      if (bfecc) {
+        errorCorrectionProgram.bind();
+        gl.uniform1i(errorCorrectionProgram.uniforms.uSource, target.read.attach(0));
+        gl.uniform1i(errorCorrectionProgram.uniforms.uBackward, backward.attach(1));
+        blit(forward);
+      }
+      
+      limitedAdvectionProgram.bind();
+      gl.uniform2f(limitedAdvectionProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
+      gl.uniform1i(limitedAdvectionProgram.uniforms.uVelocity, velocity.read.attach(0));
+      gl.uniform1i(limitedAdvectionProgram.uniforms.uSource, target.read.attach(1));
+      gl.uniform1i(limitedAdvectionProgram.uniforms.uForward, forward.attach(3));
+      gl.uniform1i(limitedAdvectionProgram.uniforms.uBackward, backward.attach(4));
+      gl.uniform1i(limitedAdvectionProgram.uniforms.uCorrected, forward.attach(3));
+      gl.uniform1i(limitedAdvectionProgram.uniforms.bfecc, bfecc ? 1 : 0);
+      gl.uniform1f(limitedAdvectionProgram.uniforms.dt, dt);
+      gl.uniform1f(limitedAdvectionProgram.uniforms.dissipation, dissipation);
+      gl.uniform2f(limitedAdvectionProgram.uniforms.sourceTexelSize, 1.0 / target.width, 1.0 / target.height);
+      gl.uniform1i(limitedAdvectionProgram.uniforms.hardwareWrap, textureWrapMode(forward) === gl.REPEAT ? 1 : 0);
+      bindBoundaries(limitedAdvectionProgram);
+      blit(target.write);
+      target.swap();
+      
+      return temps;
+    }
+
+    // Implicit diffusion (Stam, "Stable Fluids"), which stays stable for any viscosity and step size.
+    // The field before diffusing is copied into `source`, which is created or resized to match and returned.
+    let velocityDiffusionSource = null;
+    let densityDiffusionSource = null;
+
+    function diffuse(target, source, format, alpha) {
+      if (!source || source.width !== target.width || source.height !== target.height) {
+        if (source) deleteFBO(source);
+        source = createFBO(target.width, target.height, format.internalFormat, format.format, ext.halfFloatTexType, gl.NEAREST);
+      }
+      
+      copyProgram.bind();
+      gl.uniform1i(copyProgram.uniforms.uTexture, target.read.attach(0));
+      blit(source);
+      
+      diffusionProgram.bind();
+      gl.uniform2f(diffusionProgram.uniforms.texelSize, 1.0 / target.width, 1.0 / target.height);
+      gl.uniform1i(diffusionProgram.uniforms.uSource, source.attach(0));
+      gl.uniform1f(diffusionProgram.uniforms.alpha, alpha);
+      bindBoundaries(diffusionProgram);
+      
+      for (let i = 0; i < config.DIFFUSION_ITERATIONS; i++) {
+        gl.uniform1i(diffusionProgram.uniforms.uX, target.read.attach(1));
+        blit(target.write);
+        target.swap();
+      }
+      
+      return source;
+    }
+
+    // GRAVITY points down the screen, so buoyancy acts along its opposite with y flipped into texture space
+    function applyBuoyancy(dt) {
+      const length = Math.hypot(config.GRAVITY.x, config.GRAVITY.y) || 1;
+      buoyancyProgram.bind();
+      gl.uniform1i(buoyancyProgram.uniforms.uVelocity, velocity.read.attach(0));
+      gl.uniform1i(buoyancyProgram.uniforms.uTemperature, temperature.read.attach(1));
+      gl.uniform1i(buoyancyProgram.uniforms.uDensity, density.read.attach(2));
+      gl.uniform2f(buoyancyProgram.uniforms.up, -config.GRAVITY.x / length, config.GRAVITY.y / length);
+      gl.uniform1f(buoyancyProgram.uniforms.buoyancy, config.BUOYANCY);
+      gl.uniform1f(buoyancyProgram.uniforms.weight, config.WEIGHT);
+      gl.uniform1f(buoyancyProgram.uniforms.dt, dt);
+      blit(velocity.write);
+      velocity.swap();
+    }
+
+    // Display modes: the field each one shows, and whether it is a vector (magnitude or direction)
+    // or a signed scalar
+    const DISPLAY_FIELDS = {
+      velocity: { field: 'velocity', mode: 0 },
+      'velocity-direction': { field: 'velocity', mode: 1 },
+      pressure: { field: 'pressure', mode: 2 },
+      curl: { field: 'curl', mode: 2 },
+      divergence: { field: 'divergence', mode: 2 },
+      temperature: { field: 'temperature', mode: 3 }
+    };
+    const COLORMAPS = ['viridis', 'diverging', 'blackbody'];
+    const DISPLAY_RANGE_INTERVAL = 250; // Milliseconds between auto-range readbacks
+
+    function getDisplayTexture(field) {
+      return { velocity: velocity.read, pressure: pressure.read, curl, divergence, temperature: temperature.read }[field];
+    }
+
+    // Largest magnitude of each field the display needs, from a low resolution readback
+    let displayRanges = {};
+    let displayRangesStale = true;
+
+    function updateDisplayRanges() {
+      const fields = new Set();
+      if (DISPLAY_FIELDS[config.DISPLAY_MODE]) fields.add(DISPLAY_FIELDS[config.DISPLAY_MODE].field);
+      if (config.OVERLAY !== 'none') fields.add('velocity');
+      
+      const res = getResolution(config.SNAPSHOT_RESOLUTION);
+      fields.forEach(field => {
+        const values = readField(getDisplayTexture(field), field === 'velocity' ? 2 : 1, res.width, res.height);
+        let max = 0;
+        for (let i = 0; i < values.length; i += 4) {
+          max = Math.max(max, field === 'velocity' ? Math.hypot(values[i], values[i + 1]) : Math.abs(values[i]));
+        }
+        displayRanges[field] = Math.max(max, 0.0001);
+      });
+      displayRangesStale = false;
+    }
+
+    function getDisplayRange(field) {
+      if (typeof config.DISPLAY_RANGE === 'number') return config.DISPLAY_RANGE;
+      return displayRanges[field] || 1.0;
+    }
+
+    // Random noise for the streamline overlay and for dithering, tiled with REPEAT
+    const NOISE_SIZE = 128;
+    let noiseTexture;
+
+    function initNoise() {
+      const data = new Uint8Array(NOISE_SIZE * NOISE_SIZE * 4);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.floor(Math.random() * 256);
+      }
+      
+      noiseTexture = gl.createTexture();
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, noiseTexture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, NOISE_SIZE, NOISE_SIZE, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    }
+
+    initNoise();
+
+    function getColormap(mode) {
+      if (config.COLORMAP !== 'auto') return Math.max(COLORMAPS.indexOf(config.COLORMAP), 0);
+      if (mode === 2) return COLORMAPS.indexOf('diverging');
+      if (mode === 3) return COLORMAPS.indexOf('blackbody');
+      return COLORMAPS.indexOf('viridis');
+    }
+
+    function drawField(target) {
+      const { field, mode } = DISPLAY_FIELDS[config.DISPLAY_MODE];
+      
+      fieldDisplayProgram.bind();
+      gl.uniform1i(fieldDisplayProgram.uniforms.uField, getDisplayTexture(field).attach(0));
+      gl.uniform1i(fieldDisplayProgram.uniforms.mode, mode);
+      gl.uniform1i(fieldDisplayProgram.uniforms.colormap, getColormap(mode));
+      gl.uniform1f(fieldDisplayProgram.uniforms.range, getDisplayRange(field));
+      gl.uniform1i(fieldDisplayProgram.uniforms.glow, 0);
+      blit(target);
+    }
+
+    // The 'fire' mode lights the dye, drawn as smoke, with the heat above ambient. Its range defaults
+    // to the heat of a splat, so flames fade as they cool instead of rescaling to the hottest point.
+    function drawFire(target) {
+      const range = typeof config.DISPLAY_RANGE === 'number'
+        ? config.DISPLAY_RANGE
+        : config.SPLAT_TEMPERATURE - config.AMBIENT_TEMPERATURE;
+      
+      fieldDisplayProgram.bind();
+      gl.uniform1i(fieldDisplayProgram.uniforms.uField, temperature.read.attach(0));
+      gl.uniform1i(fieldDisplayProgram.uniforms.mode, 3);
+      gl.uniform1i(fieldDisplayProgram.uniforms.colormap, COLORMAPS.indexOf('blackbody'));
+      gl.uniform1f(fieldDisplayProgram.uniforms.range, Math.max(range, 0.0001));
+      gl.uniform1i(fieldDisplayProgram.uniforms.glow, 1);
+      blit(target);
+    }
+
+    function drawOverlay(target) {
+      const width = target ? target.width : gl.drawingBufferWidth;
+      const height = target ? target.height : gl.drawingBufferHeight;
+      
+      if (config.OVERLAY === 'arrows') {
+        // Square cells of about 32 pixels on the canvas
+        const rows = Math.max(1, Math.round(canvas.height / 32));
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        arrowProgram.bind();
+        gl.uniform1i(arrowProgram.uniforms.uVelocity, velocity.read.attach(0));
+        gl.uniform2f(arrowProgram.uniforms.cells, Math.max(1, Math.round(rows * width / height)), rows);
+        gl.uniform1f(arrowProgram.uniforms.range, getDisplayRange('velocity'));
+        blit(target);
+      } else if (config.OVERLAY === 'streamlines') {
+        // Darken what is already drawn, keeping its alpha
+        gl.blendFuncSeparate(gl.DST_COLOR, gl.ZERO, gl.ZERO, gl.ONE);
+        streamlineProgram.bind();
+        gl.uniform1i(streamlineProgram.uniforms.uVelocity, velocity.read.attach(0));
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, noiseTexture);
+        gl.uniform1i(streamlineProgram.uniforms.uNoise, 1);
+        gl.uniform2f(streamlineProgram.uniforms.pixelSize, 1.0 / width, 1.0 / height);
+        gl.uniform2f(streamlineProgram.uniforms.noiseScale, width / NOISE_SIZE, height / NOISE_SIZE);
+        gl.uniform1f(streamlineProgram.uniforms.range, getDisplayRange('velocity'));
+        blit(target);
+      }
+    }
+
+    function applyBloom(source, destination) {
+      if (bloomFramebuffers.length < 2) return;
+      
+      let last = destination;
+      
+      gl.disable(gl.BLEND);
+      bloomPrefilterProgram.bind();
+      const knee = config.BLOOM_THRESHOLD * config.BLOOM_SOFT_KNEE + 0.0001;
+      const curve0 = config.BLOOM_THRESHOLD - knee;
+      const curve1 = knee * 2;
+      const curve2 = 0.25 / knee;
+      gl.uniform3f(bloomPrefilterProgram.uniforms.curve, curve0, curve1, curve2);
+      gl.uniform1f(bloomPrefilterProgram.uniforms.threshold, config.BLOOM_THRESHOLD);
+      gl.uniform1i(bloomPrefilterProgram.uniforms.uTexture, source.attach(0));
+      blit(last);
+      
+      // Down the pyramid
+      bloomBlurProgram.bind();
+      for (let i = 0; i < bloomFramebuffers.length; i++) {
+        const dest = bloomFramebuffers[i];
+        gl.uniform2f(bloomBlurProgram.uniforms.texelSize, 1.0 / last.width, 1.0 / last.height);
+        gl.uniform1i(bloomBlurProgram.uniforms.uTexture, last.attach(0));
+        blit(dest);
+        last = dest;
+      }
+      
+      // And back up, adding each level onto the one above
+      gl.blendFunc(gl.ONE, gl.ONE);
+      gl.enable(gl.BLEND);
+      for (let i = bloomFramebuffers.length - 2; i >= 0; i--) {
+        const baseTex = bloomFramebuffers[i];
+        gl.uniform2f(bloomBlurProgram.uniforms.texelSize, 1.0 / last.width, 1.0 / last.height);
+        gl.uniform1i(bloomBlurProgram.uniforms.uTexture, last.attach(0));
+        blit(baseTex);
+        last = baseTex;
+      }
+      
+      gl.disable(gl.BLEND);
+      bloomFinalProgram.bind();
+      gl.uniform2f(bloomFinalProgram.uniforms.texelSize, 1.0 / last.width, 1.0 / last.height);
+      gl.uniform1i(bloomFinalProgram.uniforms.uTexture, last.attach(0));
+      gl.uniform1f(bloomFinalProgram.uniforms.intensity, config.BLOOM_INTENSITY);
+      blit(destination);
+    }
+
+    // The mask is drawn into the dye's scratch buffer, which is free between steps
+    function applySunrays(source, mask, destination) {
+      gl.disable(gl.BLEND);
+      sunraysMaskProgram.bind();
+      gl.uniform1i(sunraysMaskProgram.uniforms.uTexture, source.attach(0));
+      blit(mask);
+      
+      sunraysProgram.bind();
+      gl.uniform1f(sunraysProgram.uniforms.weight, config.SUNRAYS_WEIGHT);
+      gl.uniform1i(sunraysProgram.uniforms.uTexture, mask.attach(0));
+      blit(destination);
+    }
+
+    function blur(target, temp, iterations) {
+      blurProgram.bind();
+      for (let i = 0; i < iterations; i++) {
+        gl.uniform2f(blurProgram.uniforms.direction, 1.0 / target.width, 0.0);
+        gl.uniform1i(blurProgram.uniforms.uTexture, target.attach(0));
+        blit(temp);
+        
+        gl.uniform2f(blurProgram.uniforms.direction, 0.0, 1.0 / target.height);
+        gl.uniform1i(blurProgram.uniforms.uTexture, temp.attach(0));
+        blit(target);
+      }
+    }
+
+    // Draw to the canvas, or to an offscreen target for exports
+    function render(target = null, transparent = config.TRANSPARENT) {
+      const showsField = config.DISPLAY_MODE in DISPLAY_FIELDS;
+      if (displayRangesStale && config.DISPLAY_RANGE === 'auto' && (showsField || config.OVERLAY !== 'none')) {
+        updateDisplayRanges();
+      }
+      
+      // Post-processing applies to additive dye only, since it works on brightness
+      const subtractive = config.DYE_MODE === 'subtractive';
+      const useBloom = config.BLOOM && !showsField && !subtractive;
+      const useSunrays = config.SUNRAYS && !showsField && !subtractive;
+      if (useBloom) {
+        applyBloom(density.read, bloom);
+      }
+      if (useSunrays) {
+        applySunrays(density.read, density.write, sunrays);
+        blur(sunrays, sunraysTemp, 1);
+      }
+      
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+      gl.enable(gl.BLEND);
+      
+      // Background, or a cleared canvas that lets the page show through
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+      if (transparent) {
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+      } else {
+        const back = normalizeColor(config.BACK_COLOR);
+        gl.clearColor(back.r, back.g, back.b, 1.0);
+      }
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      
+      // Display result
+      if (showsField) {
+        drawField(target);
+      } else {
+        displayProgram.bind();
+        gl.uniform2f(displayProgram.uniforms.texelSize, 1.0 / density.width, 1.0 / density.height);
+        gl.uniform1i(displayProgram.uniforms.shading, config.SHADING ? 1 : 0);
+        gl.uniform1i(displayProgram.uniforms.bloom, useBloom ? 1 : 0);
+        gl.uniform1i(displayProgram.uniforms.sunrays, useSunrays ? 1 : 0);
+        gl.uniform1i(displayProgram.uniforms.dithering, config.DITHERING ? 1 : 0);
+        gl.uniform1i(displayProgram.uniforms.subtractive, subtractive ? 1 : 0);
+        const paper = normalizeColor(config.BACK_COLOR);
+        gl.uniform3f(displayProgram.uniforms.paper, paper.r, paper.g, paper.b);
+        bindWrap(displayProgram);
+        gl.uniform1i(displayProgram.uniforms.uTexture, density.read.attach(0));
+        if (useBloom) {
+          gl.uniform1i(displayProgram.uniforms.uBloom, bloom.attach(1));
+        }
+        if (useSunrays) {
+          gl.uniform1i(displayProgram.uniforms.uSunrays, sunrays.attach(2));
+        }
+        if (config.DITHERING) {
+          const width = target ? target.width : gl.drawingBufferWidth;
+          const height = target ? target.height : gl.drawingBufferHeight;
+          gl.activeTexture(gl.TEXTURE3);
+          gl.bindTexture(gl.TEXTURE_2D, noiseTexture);
+          gl.uniform1i(displayProgram.uniforms.uDithering, 3);
+          gl.uniform2f(displayProgram.uniforms.ditherScale, width / NOISE_SIZE, height / NOISE_SIZE);
+        }
+        blit(target);
+        
+        if (config.DISPLAY_MODE === 'fire') {
+          drawFire(target);
+        }
+      }
+      
+      drawOverlay(target);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    function normalizeColor(color) {
+      return { r: color.r / 255, g: color.g / 255, b: color.b / 255 };
+    }
+
+    // Named palettes, as evenly spaced stops
+    const PALETTES = {
+      sunset: ['#2d1b69', '#b0306a', '#f26b38', '#ffc94a'],
+      ocean: ['#03256c', '#2541b2', '#1768ac', '#06bee1', '#b8f3ff'],
+      fire: ['#3d0000', '#a50000', '#ff4000', '#ffa200', '#fff3b0'],
+      forest: ['#0b3d20', '#1e6b35', '#5fa83b', '#c5e063'],
+      neon: ['#ff00a0', '#7a00ff', '#00c8ff', '#00ff9c'],
+      pastel: ['#ffadad', '#ffd6a5', '#fdffb6', '#caffbf', '#9bf6ff', '#bdb2ff'],
+      viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+    };
+
+    // Stops are '#rgb' / '#rrggbb' strings or 0-255 { r, g, b } objects, parsed to 0-1
+    function parseColorStop(stop) {
+      if (typeof stop === 'string') {
+        let hex = stop.replace('#', '');
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        const value = parseInt(hex, 16);
+        return { r: ((value >> 16) & 255) / 255, g: ((value >> 8) & 255) / 255, b: (value & 255) / 255 };
+      }
+      return normalizeColor(stop);
+    }
+
+    let paletteStops = [];
+
+    function updatePalette() {
+      const palette = Array.isArray(config.PALETTE) ? config.PALETTE : PALETTES[config.PALETTE];
+      if (!palette || palette.length === 0) {
+        console.error('Unknown palette:', config.PALETTE);
+        paletteStops = PALETTES.sunset.map(parseColorStop);
+        return;
+      }
+      paletteStops = palette.map(parseColorStop);
+    }
+
+    updatePalette();
+
+    function samplePalette(t) {
+      if (paletteStops.length === 1) return { ...paletteStops[0] };
+      
+      const position = Math.min(Math.max(t, 0), 1) * (paletteStops.length - 1);
+      const i = Math.min(Math.floor(position), paletteStops.length - 2);
+      const f = position - i;
+      const a = paletteStops[i];
+      const b = paletteStops[i + 1];
+      return { r: a.r + (b.r - a.r) * f, g: a.g + (b.g - a.g) * f, b: a.b + (b.b - a.b) * f };
+    }
+
+    // Seconds of color cycling, for the 'rainbow' color mode
+    let colorTime = 0;
+
+    // Dye color in the current COLOR_MODE. `position` in [0, 1] picks the hue for 'random' and the
+    // point along the palette for 'palette' and 'speed'; 'rainbow' and 'fixed' ignore it.
+    function generateColor(position = random()) {
+      let color;
+      switch (config.COLOR_MODE) {
+        case 'palette':
+        case 'speed':
+          color = samplePalette(position);
+          break;
+        case 'rainbow':
+          color = hsvColor((colorTime * config.COLOR_CYCLE_SPEED) % 1);
+          break;
+        case 'fixed':
+          color = normalizeColor(config.FIXED_COLOR);
+          break;
+        default:
+          color = hsvColor(position);
+      }
+      
+      // Make colors less intense
+      return { r: color.r * 0.2, g: color.g * 0.2, b: color.b * 0.2 };
+    }
+
+    // What a color adds to the dye. Subtractive dye is absorbance (Beer-Lambert), so a color becomes
+    // the pigment that filters white light to its hue, as strong as the color is bright.
+    function toDye(color) {
+      if (config.DYE_MODE !== 'subtractive') return color;
+      
+      const strength = Math.max(color.r, color.g, color.b);
+      if (strength <= 0) return { r: 0, g: 0, b: 0 };
+      const absorb = c => -Math.log(Math.max(c / strength, 0.02)) * strength;
+      return { r: absorb(color.r), g: absorb(color.g), b: absorb(color.b) };
+    }
+
+    // Color for a splat velocity in the 'speed' color mode
+    function speedColor(dx, dy) {
+      return generateColor(Math.hypot(dx, dy) / config.COLOR_SPEED_RANGE);
+    }
+
+    function hsvColor(hue) {
+      // Generate a color from a simplified HSV color wheel
+      const h = hue;
+      const s = 0.7;           // Fixed saturation
+      const v = 0.8;           // Fixed value/brightness
+      
+      let r, g, b;
+      
+      const i = Math.floor(h * 6);
+      const f = h * 6 - i;
+      const p = v * (1 - s);
+      const q = v * (1 - f * s);
+      const t = v * (1 - (1 - f) * s);
+      
+      switch (i % 6) {
+        case 0: r = v, g = t, b = p; break;
+        case 1: r = q, g = v, b = p; break;
+        case 2: r = p, g = v, b = t; break;
+        case 3: r = p, g = q, b = v; break;
+        case 4: r = t, g = p, b = v; break;
+        case 5: r = v, g = p, b = q; break;
+      }
+      
+      return { r, g, b };
+    }
+
+    // Persistent sources, applied on every simulation step
+    const EMITTER_TYPES = ['point', 'line', 'radial'];
+    const emitters = new Set();
+
+    function addEmitter(options = {}) {
+      if (!EMITTER_TYPES.includes(options.type || 'point')) {
+        console.error('Unknown emitter type:', options.type);
+        return null;
+      }
+      
+      const emitter = {
+        type: 'point',
+        x: 0.5,
+        y: 0.5,
+        x2: undefined,
+        y2: undefined,
+        direction: { x: 0, y: -1 },
+        rate: 1000,
+        color: null,             // null follows COLOR_MODE
+        colorPosition: random(), // This emitter's hue or point along the palette
+        temperature: 0,          // Heat added per second when TEMPERATURE is on
+        radius: config.SPLAT_RADIUS,
+        ...options
+      };
+      emitters.add(emitter);
+      
+      return {
+        update(props = {}) {
+          if (props.type && !EMITTER_TYPES.includes(props.type)) {
+            console.error('Unknown emitter type:', props.type);
+            return;
+          }
+          Object.assign(emitter, props);
+        },
+        remove() {
+          emitters.delete(emitter);
+        }
+      };
+    }
+
+    // In the 'speed' color mode, an emitter's rate picks its color like a splat's velocity
+    function emitterColor(emitter) {
+      if (config.COLOR_MODE === 'speed') return speedColor(emitter.rate, 0);
+      return generateColor(emitter.colorPosition);
+    }
+
+    // Emitters use normalized canvas coordinates with (0, 0) at the top left, so y is flipped here
+    function applyEmitters(dt) {
+      if (emitters.size === 0) return;
+      
+      emitterProgram.bind();
+      gl.uniform1f(emitterProgram.uniforms.aspectRatio, canvas.width / canvas.height);
+      bindWrap(emitterProgram);
+      
+      emitters.forEach(emitter => {
+        const isLine = emitter.type === 'line' && emitter.x2 !== undefined && emitter.y2 !== undefined;
+        const x2 = isLine ? emitter.x2 : emitter.x;
+        const y2 = isLine ? emitter.y2 : emitter.y;
+        
+        gl.uniform2f(emitterProgram.uniforms.pointA, emitter.x, 1.0 - emitter.y);
+        gl.uniform2f(emitterProgram.uniforms.pointB, x2, 1.0 - y2);
+        gl.uniform1f(emitterProgram.uniforms.radius, emitter.radius / 100.0);
+        
+        // Velocity: along the direction, or outwards for radial sources
+        const radial = emitter.type === 'radial';
+        const length = Math.hypot(emitter.direction.x, emitter.direction.y) || 1;
+        gl.uniform1i(emitterProgram.uniforms.radial, radial ? 1 : 0);
+        gl.uniform1i(emitterProgram.uniforms.uTarget, velocity.read.attach(0));
+        if (radial) {
+          gl.uniform3f(emitterProgram.uniforms.value, emitter.rate * dt, 0.0, 0.0);
+        } else {
+          gl.uniform3f(
+            emitterProgram.uniforms.value,
+            emitter.rate * dt * emitter.direction.x / length,
+            -emitter.rate * dt * emitter.direction.y / length,
+            0.0
+          );
+        }
+        blit(velocity.write);
+        velocity.swap();
+        
+        // Dye
+        const { r, g, b } = toDye(emitter.color || emitterColor(emitter));
+        gl.uniform1i(emitterProgram.uniforms.radial, 0);
+        gl.uniform1i(emitterProgram.uniforms.uTarget, density.read.attach(0));
+        gl.uniform3f(emitterProgram.uniforms.value, r * dt, g * dt, b * dt);
+        blit(density.write);
+        density.swap();
+        
+        if (config.TEMPERATURE && emitter.temperature) {
+          gl.uniform1i(emitterProgram.uniforms.uTarget, temperature.read.attach(0));
+          gl.uniform3f(emitterProgram.uniforms.value, emitter.temperature * dt, 0.0, 0.0);
+          blit(temperature.write);
+          temperature.swap();
+        }
+      });
+    }
+
+    // Persistent velocity fields. A function field is sampled into a texture at the simulation
+    // resolution; image fields are stretched over the canvas and encode x and y in red and green,
+    // mapping [0, 1] to [-1, 1]. A WebGLTexture from this context is used as it is, in the same encoding.
+    const forceFields = new Set();
+
+    function isForceSource(source) {
+      return typeof source === 'function' || isWebGLTexture(source) || isImageSource(source);
+    }
+
+    function applyForceField(source, options = {}) {
+      if (!isForceSource(source)) {
+        console.error('Unsupported force field source:', source);
+        return null;
+      }
+      
+      const field = { source, strength: 1.0, texture: null, ...options };
+      forceFields.add(field);
+      
+      return {
+        update(props = {}) {
+          if ('source' in props) {
+            if (!isForceSource(props.source)) {
+              console.error('Unsupported force field source:', props.source);
+              return;
+            }
+            deleteForceTexture(field);
+          }
+          Object.assign(field, props);
+        },
+        remove() {
+          deleteForceTexture(field);
+          forceFields.delete(field);
+        }
+      };
+    }
+
+    function deleteForceTexture(field) {
+      // A texture passed in belongs to the caller
+      if (field.texture && !field.texture.external && !gl.isContextLost()) {
+        gl.deleteTexture(field.texture.texture);
+      }
+      field.texture = null;
+    }
+
+    // fn(x, y) takes normalized canvas coordinates with (0, 0) at the top left and returns the
+    // velocity to add per second as { x, y }, with y pointing down the screen
+    function sampleForceFunction(fn, width, height) {
+      const data = new Float32Array(width * height * 4);
+      for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+          const force = fn((i + 0.5) / width, 1.0 - (j + 0.5) / height) || {};
+          const k = (j * width + i) * 4;
+          data[k] = force.x || 0;
+          data[k + 1] = force.y || 0;
+        }
+      }
+      return createDataTexture(width, height, data);
+    }
+
+    // Sources that texImage2D takes. They are checked up front, because a bad source would otherwise
+    // only fail on upload, inside the animation loop.
+    const IMAGE_SOURCE_TYPES = ['HTMLImageElement', 'HTMLCanvasElement', 'HTMLVideoElement', 'ImageBitmap', 'ImageData', 'OffscreenCanvas'];
+
+    function isImageSource(source) {
+      return IMAGE_SOURCE_TYPES.some(type => typeof window[type] === 'function' && source instanceof window[type]);
+    }
+
+    function isWebGLTexture(source) {
+      return typeof window.WebGLTexture === 'function' && source instanceof window.WebGLTexture;
+    }
+
+    // An RGBA8 texture holding an image, canvas or video frame, flipped so its top is at v = 1.
+    // Uploads can still throw, e.g. for a cross-origin image, and then nothing is left behind.
+    function createImageTexture(image) {
+      const texture = gl.createTexture();
+      const target = {
+        texture,
+        attach(id) {
+          gl.activeTexture(gl.TEXTURE0 + id);
+          gl.bindTexture(gl.TEXTURE_2D, texture);
+          return id;
+        }
+      };
+      
+      target.attach(0);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      try {
+        uploadImage(target, image);
+      } catch (e) {
+        gl.deleteTexture(texture);
+        throw e;
+      }
+      return target;
+    }
+
+    function createForceTexture(source) {
+      if (typeof source === 'function') {
+        return sampleForceFunction(source, simRes.width, simRes.height);
+      }
+      if (isWebGLTexture(source)) {
+        return {
+          texture: source,
+          external: true,
+          attach(id) {
+            gl.activeTexture(gl.TEXTURE0 + id);
+            gl.bindTexture(gl.TEXTURE_2D, source);
+            return id;
+          }
+        };
+      }
+      return createImageTexture(source);
+    }
+
+    function uploadImage(target, image) {
+      target.attach(0);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    }
+
+    function applyForceFields(dt) {
+      forceFields.forEach(field => {
+        const isFunction = typeof field.source === 'function';
+        
+        // Function fields follow the simulation resolution
+        if (field.texture && isFunction &&
+          (field.texture.width !== simRes.width || field.texture.height !== simRes.height)) {
+          deleteForceTexture(field);
+        }
+        // A source that can't be uploaded is dropped, so it doesn't stop the animation loop
+        if (!field.texture) {
+          try {
+            field.texture = createForceTexture(field.source);
+          } catch (e) {
+            console.error('Removing a force field whose source could not be uploaded:', e);
+            forceFields.delete(field);
+            return;
+          }
+        }
+        
+        forceProgram.bind();
+        gl.uniform1i(forceProgram.uniforms.uVelocity, velocity.read.attach(0));
+        gl.uniform1i(forceProgram.uniforms.uForce, field.texture.attach(1));
+        gl.uniform1i(forceProgram.uniforms.encoded, isFunction ? 0 : 1);
+        gl.uniform1f(forceProgram.uniforms.strength, field.strength * dt);
+        blit(velocity.write);
+        velocity.swap();
+      });
+    }
+
+    // An image or video mixed into the dye, once or on every step
+    let dyeSource = null;
+
+    function setDyeSource(source, options = {}) {
+      if (!isImageSource(source)) {
+        console.error('Unsupported dye source:', source);
+        return;
+      }
+      
+      clearDyeSource();
+      dyeSource = {
+        source,
+        mode: 'once',
+        strength: 1.0,
+        fit: 'contain',
+        ...options,
+        texture: null,
+        frameUploaded: false
+      };
+      
+      // A single blend happens right away when the source has something to show
+      if (dyeSource.mode === 'once' && !destroyed && !gl.isContextLost() && isSourceReady(source)) {
+        applyDyeSource(dyeSource.strength);
+        if (config.PAUSED) render();
+      }
+    }
+
+    function clearDyeSource() {
+      if (dyeSource && dyeSource.texture && !gl.isContextLost()) {
+        gl.deleteTexture(dyeSource.texture.texture);
+      }
+      dyeSource = null;
+    }
+
+    // Videos need a decoded frame and images need to have loaded; bitmaps and canvases are always ready
+    function isSourceReady(source) {
+      if (source.readyState !== undefined) return source.readyState >= 2;
+      if (source.complete !== undefined) return source.complete && source.naturalWidth > 0;
+      return true;
+    }
+
+    function isVideo(source) {
+      return source.videoWidth !== undefined;
+    }
+
+    // Upload the current video frame once per rendered frame, however many steps it takes
+    function updateDyeSourceFrame() {
+      if (dyeSource) {
+        dyeSource.frameUploaded = false;
+      }
+    }
+
+    // `amount` is the blend factor: the strength itself for a single blend, or strength * dt
+    function applyDyeSource(amount) {
+      const { source } = dyeSource;
+      if (!isSourceReady(source)) return;
+      
+      try {
+        if (!dyeSource.texture) {
+          dyeSource.texture = createImageTexture(source);
+          dyeSource.frameUploaded = true;
+        } else if (isVideo(source) && !dyeSource.frameUploaded) {
+          uploadImage(dyeSource.texture, source);
+          dyeSource.frameUploaded = true;
+        }
+      } catch (e) {
+        console.error('Clearing a dye source that could not be uploaded:', e);
+        clearDyeSource();
+        return;
+      }
+      
+      const sourceWidth = source.naturalWidth || source.videoWidth || source.width;
+      const sourceHeight = source.naturalHeight || source.videoHeight || source.height;
+      const sourceAspect = sourceWidth / sourceHeight;
+      const dyeAspect = dyeRes.width / dyeRes.height;
+      
+      // 'contain' fits the whole image inside the dye, 'cover' fills it and crops, 'stretch' ignores aspect
+      let scaleX = 1.0;
+      let scaleY = 1.0;
+      if (dyeSource.fit !== 'stretch') {
+        const wider = sourceAspect > dyeAspect;
+        if (wider === (dyeSource.fit === 'contain')) {
+          scaleY = dyeAspect / sourceAspect;
+        } else {
+          scaleX = sourceAspect / dyeAspect;
+        }
+      }
+      
+      gl.disable(gl.BLEND);
+      dyeSourceProgram.bind();
+      gl.uniform1i(dyeSourceProgram.uniforms.uTarget, density.read.attach(0));
+      gl.uniform1i(dyeSourceProgram.uniforms.uImage, dyeSource.texture.attach(1));
+      gl.uniform2f(dyeSourceProgram.uniforms.scale, scaleX, scaleY);
+      gl.uniform1f(dyeSourceProgram.uniforms.amount, Math.min(amount, 1.0));
+      gl.uniform1i(dyeSourceProgram.uniforms.subtractive, config.DYE_MODE === 'subtractive' ? 1 : 0);
+      blit(density.write);
+      density.swap();
+      
+      if (dyeSource.mode === 'once') {
+        clearDyeSource();
+      }
+    }
+
+    // Obstacle mask edits, kept so the mask can be rebuilt after a context loss
+    let obstacleOps = [];
+
+    function applyObstacleOp(op) {
+      gl.disable(gl.BLEND);
+      
+      if (op.type === 'paint') {
+        paintObstacle(op.x, op.y, op.radius, op.value);
+      } else if (op.type === 'image') {
+        drawObstacleImage(op.image, op.options);
+      }
+    }
+
+    function paintObstacle(x, y, radius, value) {
+      obstacleProgram.bind();
+      gl.uniform1i(obstacleProgram.uniforms.uTarget, obstacles.read.attach(0));
+      gl.uniform1f(obstacleProgram.uniforms.aspectRatio, canvas.width / canvas.height);
+      gl.uniform2f(obstacleProgram.uniforms.point, x, y);
+      gl.uniform1f(obstacleProgram.uniforms.radius, radius);
+      gl.uniform1f(obstacleProgram.uniforms.value, value);
+      bindWrap(obstacleProgram);
+      blit(obstacles.write);
+      obstacles.swap();
+    }
+
+    // Replace the mask with an image, scaled to fit inside the canvas
+    function drawObstacleImage(image, options) {
+      const { threshold = 0.5, channel = 'alpha', invert = false } = options;
+      
+      gl.activeTexture(gl.TEXTURE0);
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+      
+      const imageWidth = image.naturalWidth || image.videoWidth || image.width;
+      const imageHeight = image.naturalHeight || image.videoHeight || image.height;
+      const imageAspect = imageWidth / imageHeight;
+      const canvasAspect = canvas.width / canvas.height;
+      
+      obstacleImageProgram.bind();
+      gl.uniform1i(obstacleImageProgram.uniforms.uImage, 0);
+      if (imageAspect > canvasAspect) {
+        gl.uniform2f(obstacleImageProgram.uniforms.scale, 1.0, canvasAspect / imageAspect);
+      } else {
+        gl.uniform2f(obstacleImageProgram.uniforms.scale, imageAspect / canvasAspect, 1.0);
+      }
+      gl.uniform1f(obstacleImageProgram.uniforms.threshold, threshold);
+      gl.uniform1i(obstacleImageProgram.uniforms.useLuminance, channel === 'luminance' ? 1 : 0);
+      gl.uniform1i(obstacleImageProgram.uniforms.invert, invert ? 1 : 0);
+      blit(obstacles.write);
+      obstacles.swap();
+      
+      gl.deleteTexture(texture);
+    }
+
+    function clearObstacles() {
+      obstacleOps = [];
+      
+      gl.disable(gl.BLEND);
+      clearProgram.bind();
+      gl.uniform1i(clearProgram.uniforms.uTexture, obstacles.read.attach(0));
+      gl.uniform1f(clearProgram.uniforms.value, 0.0);
+      blit(obstacles.write);
+      obstacles.swap();
+    }
+
+    // Convert a float to the bits of an IEEE 754 half float, for uploading half float textures
+    const floatView = new Float32Array(1);
+    const int32View = new Uint32Array(floatView.buffer);
+    
+    function toHalf(value) {
+      floatView[0] = value;
+      const x = int32View[0];
+      
+      let bits = (x >> 16) & 0x8000;
+      let mantissa = (x >> 12) & 0x07ff;
+      const exponent = (x >> 23) & 0xff;
+      
+      // Too small for a half float, flush to signed zero
+      if (exponent < 103) return bits;
+      
+      // Too large, or NaN/Infinity
+      if (exponent > 142) {
+        bits |= 0x7c00;
+        bits |= (exponent === 255 && (x & 0x007fffff)) ? 1 : 0;
+        return bits;
+      }
+      
+      // Denormalized half float
+      if (exponent < 113) {
+        mantissa |= 0x0800;
+        bits |= (mantissa >> (114 - exponent)) + ((mantissa >> (113 - exponent)) & 1);
+        return bits;
+      }
+      
+      bits |= ((exponent - 112) << 10) | (mantissa >> 1);
+      bits += mantissa & 1;
+      return bits;
+    }
+
+    function fromHalf(bits) {
+      const exponent = (bits >> 10) & 0x1f;
+      const mantissa = bits & 0x03ff;
+      const sign = bits & 0x8000 ? -1 : 1;
+      
+      if (exponent === 0) return sign * mantissa * Math.pow(2, -24);
+      if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+      return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+    }
+
+    // Upload RGBA float data into a texture that can be sampled like a framebuffer
+    function createDataTexture(width, height, data) {
+      gl.activeTexture(gl.TEXTURE0);
+      
+      const texture = gl.createTexture();
+      const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+      const pixels = ext.halfFloatTexType === gl.FLOAT ? data : Uint16Array.from(data, toHalf);
+      
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filterType);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filterType);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texImage2D(gl.TEXTURE_2D, 0, ext.formatRGBA.internalFormat, width, height, 0, ext.formatRGBA.format, ext.halfFloatTexType, pixels);
+      
+      return {
+        texture,
+        width,
+        height,
+        attach(id) {
+          gl.activeTexture(gl.TEXTURE0 + id);
+          gl.bindTexture(gl.TEXTURE_2D, texture);
+          return id;
+        }
+      };
+    }
+
+    // Values are packed from [-PACK_RANGE, PACK_RANGE] with roughly 24 bits of precision
+    const PACK_RANGE = 4096.0;
+    let packTarget = null;
+
+    // Read the first `channels` components of a field back to the CPU at the given resolution
+    function readField(source, channels, width, height) {
+      if (!packTarget || packTarget.width !== width || packTarget.height !== height) {
+        if (packTarget) deleteFBO(packTarget);
+        packTarget = createFBO(width, height, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, gl.NEAREST);
+      }
+      
+      const result = new Float32Array(width * height * 4);
+      const pixels = new Uint8Array(width * height * 4);
+      
+      gl.disable(gl.BLEND);
+      packProgram.bind();
+      gl.uniform1i(packProgram.uniforms.uTexture, source.attach(0));
+      gl.uniform1f(packProgram.uniforms.range, PACK_RANGE);
+      
+      for (let c = 0; c < channels; c++) {
+        gl.uniform4f(packProgram.uniforms.channel, c === 0 ? 1 : 0, c === 1 ? 1 : 0, c === 2 ? 1 : 0, c === 3 ? 1 : 0);
+        blit(packTarget);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        
+        for (let i = 0; i < width * height; i++) {
+          const t = pixels[i * 4] / 255 +
+            pixels[i * 4 + 1] / 65025 +
+            pixels[i * 4 + 2] / 16581375 +
+            pixels[i * 4 + 3] / 4228250625;
+          result[i * 4 + c] = (t * 2.0 - 1.0) * PACK_RANGE;
+        }
+      }
+      
+      return result;
+    }
+
+    // Low resolution CPU copy of the scene, used to repopulate the fields after a context loss
+    let snapshot = null;
+    let lastSnapshotTime = 0;
+
+    function takeSnapshot() {
+      const res = getResolution(config.SNAPSHOT_RESOLUTION);
+      snapshot = {
+        width: res.width,
+        height: res.height,
+        density: readField(density.read, 3, res.width, res.height),
+        velocity: readField(velocity.read, 2, res.width, res.height),
+        // Heat only moves the fluid while the field is on, and is cleared when it is turned off
+        temperature: config.TEMPERATURE ? readField(temperature.read, 1, res.width, res.height) : null
+      };
+    }
+
+    function restoreSnapshot() {
+      if (!snapshot) return;
+      
+      gl.disable(gl.BLEND);
+      copyProgram.bind();
+      
+      const densityTexture = createDataTexture(snapshot.width, snapshot.height, snapshot.density);
+      gl.uniform1i(copyProgram.uniforms.uTexture, densityTexture.attach(0));
+      blit(density.read);
+      gl.deleteTexture(densityTexture.texture);
+      
+      const velocityTexture = createDataTexture(snapshot.width, snapshot.height, snapshot.velocity);
+      gl.uniform1i(copyProgram.uniforms.uTexture, velocityTexture.attach(0));
+      blit(velocity.read);
+      gl.deleteTexture(velocityTexture.texture);
+      
+      if (snapshot.temperature) {
+        const temperatureTexture = createDataTexture(snapshot.width, snapshot.height, snapshot.temperature);
+        gl.uniform1i(copyProgram.uniforms.uTexture, temperatureTexture.attach(0));
+        blit(temperature.read);
+        gl.deleteTexture(temperatureTexture.texture);
+      }
+    }
+
+    // Saved states: a little-endian binary blob of
+    //   uint32 magic, uint32 version, uint32 header length,
+    //   a JSON header with the config and field sizes (space-padded to an even length),
+    //   then each field's channels as interleaved half floats
+    const STATE_MAGIC = 0x44554c46; // 'FLUD'
+    const STATE_VERSION = 1;
+    const STATE_FIELDS = [
+      { name: 'density', channels: 3 },
+      { name: 'velocity', channels: 2 },
+      { name: 'pressure', channels: 1 },
+      { name: 'temperature', channels: 1 }
+    ];
+
+    function getField(name) {
+      return { density, velocity, pressure, temperature }[name];
+    }
+
+    // Read a framebuffer's values directly when the implementation can read back floats
+    function readFloatPixels(target) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+      const format = gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_FORMAT);
+      const type = gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_TYPE);
+      const count = target.width * target.height * 4;
+      
+      if (format !== gl.RGBA) return null;
+      
+      if (type === gl.FLOAT) {
+        const pixels = new Float32Array(count);
+        gl.readPixels(0, 0, target.width, target.height, gl.RGBA, gl.FLOAT, pixels);
+        return pixels;
+      }
+      
+      if (type === ext.halfFloatTexType) {
+        const pixels = new Uint16Array(count);
+        gl.readPixels(0, 0, target.width, target.height, gl.RGBA, type, pixels);
+        return Float32Array.from(pixels, fromHalf);
+      }
+      
+      return null;
+    }
+
+    function exportState() {
+      if (destroyed || gl.isContextLost()) {
+        console.error('Cannot export state while the WebGL context is not available');
+        return null;
+      }
+      
+      const fields = STATE_FIELDS.map(({ name, channels }) => {
+        const target = getField(name).read;
+        const { width, height } = target;
+        const pixels = readFloatPixels(target) || readField(target, channels, width, height);
+        return { name, channels, width, height, pixels };
+      });
+      
+      const header = new TextEncoder().encode(JSON.stringify({
+        config,
+        simResolution: simRes,
+        dyeResolution: dyeRes,
+        fields: fields.map(({ name, channels, width, height }) => ({ name, channels, width, height }))
+      }));
+      
+      const headerLength = header.length + (header.length % 2);
+      const valueCount = fields.reduce((sum, field) => sum + field.width * field.height * field.channels, 0);
+      const buffer = new ArrayBuffer(12 + headerLength + valueCount * 2);
+      const view = new DataView(buffer);
+      view.setUint32(0, STATE_MAGIC, true);
+      view.setUint32(4, STATE_VERSION, true);
+      view.setUint32(8, headerLength, true);
+      new Uint8Array(buffer, 12, headerLength).fill(0x20).set(header);
+      
+      let offset = 12 + headerLength;
+      fields.forEach(({ channels, width, height, pixels }) => {
+        for (let i = 0; i < width * height; i++) {
+          for (let c = 0; c < channels; c++) {
+            view.setUint16(offset, toHalf(pixels[i * 4 + c]), true);
+            offset += 2;
+          }
+        }
+      });
+      
+      return buffer;
+    }
+
+    function isStateHeader(header) {
+      const isCount = value => Number.isInteger(value) && value > 0;
+      return header !== null && typeof header === 'object' &&
+        header.config !== null && typeof header.config === 'object' &&
+        Array.isArray(header.fields) &&
+        header.fields.every(field => field !== null && typeof field === 'object' &&
+          typeof field.name === 'string' &&
+          isCount(field.channels) && field.channels <= 4 &&
+          isCount(field.width) && isCount(field.height));
+    }
+
+    // Restore a state from exportState into fresh framebuffers, resampling fields saved at another resolution
+    function importState(data) {
+      if (destroyed || gl.isContextLost()) {
+        console.error('Cannot import state while the WebGL context is not available');
+        return false;
+      }
+      
+      if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
+        console.error('Not a fluid simulation state');
+        return false;
+      }
+      
+      const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      if (bytes.byteLength < 12 || view.getUint32(0, true) !== STATE_MAGIC) {
+        console.error('Not a fluid simulation state');
+        return false;
+      }
+      if (view.getUint32(4, true) !== STATE_VERSION) {
+        console.error('Unsupported fluid simulation state version:', view.getUint32(4, true));
+        return false;
+      }
+      
+      // Everything is checked before any simulation state is touched
+      const headerLength = view.getUint32(8, true);
+      let header;
+      try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+      } catch (e) {
+        console.error('Fluid simulation state has a broken header:', e.message);
+        return false;
+      }
+      if (!isStateHeader(header)) {
+        console.error('Fluid simulation state has an invalid header');
+        return false;
+      }
+      
+      const valueCount = header.fields.reduce((sum, field) => sum + field.width * field.height * field.channels, 0);
+      if (bytes.byteLength < 12 + headerLength + valueCount * 2) {
+        console.error('Fluid simulation state is truncated');
+        return false;
+      }
       
-      // Apply vorticity force
-      vorticityProgram.bind();
-      gl.uniform2f(vorticityProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
-      gl.uniform1i(vorticityProgram.uniforms.uVelocity, velocity.read.attach(0));
-      gl.uniform1i(vorticityProgram.uniforms.uCurl, curl.attach(1));
-      gl.uniform1f(vorticityProgram.uniforms.curl, config.CURL);
-      gl.uniform1f(vorticityProgram.uniforms.dt, dt);
-      blit(velocity.write);
-      velocity.swap();
+      // Playback state stays as it is
+      const { PAUSED, ...savedConfig } = header.config;
+      setConfig(savedConfig);
       
-      // Advect velocity
-      advectionProgram.bind();
-      gl.uniform2f(advectionProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
-      gl.uniform1i(advectionProgram.uniforms.uVelocity, velocity.read.attach(0));
-      gl.uniform1i(advectionProgram.uniforms.uSource, velocity.read.attach(0));
-      gl.uniform1f(advectionProgram.uniforms.dt, dt);
-      gl.uniform1f(advectionProgram.uniforms.dissipation, config.VELOCITY_DISSIPATION);
-      blit(velocity.write);
-      velocity.swap();
+      deleteDoubleFBO(density);
+      deleteDoubleFBO(velocity);
+      deleteDoubleFBO(pressure);
+      deleteDoubleFBO(temperature);
+      density = velocity = pressure = temperature = null;
+      initFramebuffers();
       
-      // Advect density
-      gl.uniform1i(advectionProgram.uniforms.uVelocity, velocity.read.attach(0));
-      gl.uniform1i(advectionProgram.uniforms.uSource, density.read.attach(1));
-      gl.uniform1f(advectionProgram.uniforms.dissipation, config.DENSITY_DISSIPATION);
-      blit(density.write);
-      density.swap();
+      gl.disable(gl.BLEND);
+      copyProgram.bind();
       
-      // Calculate divergence
-      divergenceProgram.bind();
-      gl.uniform2f(divergenceProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
-      gl.uniform1i(divergenceProgram.uniforms.uVelocity, velocity.read.attach(0));
-      blit(divergence);
+      let offset = 12 + headerLength;
+      header.fields.forEach(({ name, channels, width, height }) => {
+        const values = new Float32Array(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+          for (let c = 0; c < channels; c++) {
+            values[i * 4 + c] = fromHalf(view.getUint16(offset, true));
+            offset += 2;
+          }
+        }
+        
+        const target = getField(name);
+        if (!target) return;
+        const texture = createDataTexture(width, height, values);
+        gl.uniform1i(copyProgram.uniforms.uTexture, texture.attach(0));
+        blit(target.read);
+        gl.deleteTexture(texture.texture);
+      });
       
-      // Clear pressure
-      pressureProgram.bind();
-      gl.uniform2f(pressureProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
-      gl.uniform1i(pressureProgram.uniforms.uDivergence, divergence.attach(0));
+      if (config.PAUSED) render();
+      return true;
+    }
+
+    // Recording and replay. A recording restarts the simulation from a seed, so the timeline only
+    // needs the seed, the config and every splat with the index of the step it was applied before.
+    const INITIAL_SPLATS = 5;
+    const TIMELINE_VERSION = 1;
+    let stepIndex = 0;
+    let recording = null;
+    let replaying = null;
+
+    function clearDoubleFBO(target) {
+      clearProgram.bind();
+      gl.uniform1i(clearProgram.uniforms.uTexture, target.read.attach(0));
+      gl.uniform1f(clearProgram.uniforms.value, 0.0);
+      blit(target.write);
+      target.swap();
+    }
+
+    // Clear the fluid and replay the start-up splats from the given seed
+    function resetSimulation(newSeed) {
+      seed = newSeed >>> 0;
+      random = createRandom(seed);
+      stepIndex = 0;
+      accumulator = 0;
+      // The 'rainbow' color mode picks start-up colors from the clock, so it restarts too
+      colorTime = 0;
       
-      // Solve pressure iteratively
-      for (let i = 0; i < config.PRESSURE_ITERATIONS; i++) {
-        gl.uniform1i(pressureProgram.uniforms.uPressure, pressure.read.attach(1));
-        blit(pressure.write);
-        pressure.swap();
+      gl.disable(gl.BLEND);
+      clearDoubleFBO(density);
+      clearDoubleFBO(velocity);
+      clearDoubleFBO(pressure);
+      clearDoubleFBO(temperature);
+      multipleSplats(INITIAL_SPLATS);
+    }
+
+    function startRecording(options = {}) {
+      if (destroyed || gl.isContextLost()) {
+        console.error('Cannot record while the WebGL context is not available');
+        return;
       }
       
-      // Subtract pressure gradient
-      gradientSubtractProgram.bind();
-      gl.uniform2f(gradientSubtractProgram.uniforms.texelSize, 1.0 / simRes.width, 1.0 / simRes.height);
-      gl.uniform1i(gradientSubtractProgram.uniforms.uPressure, pressure.read.attach(0));
-      gl.uniform1i(gradientSubtractProgram.uniforms.uVelocity, velocity.read.attach(1));
-      blit(velocity.write);
-      velocity.swap();
+      const { seed: newSeed = Math.floor(Math.random() * 4294967296) } = options;
+      replaying = null;
+      recording = null;
+      resetSimulation(newSeed);
+      
+      const { PAUSED, ...recordedConfig } = config;
+      recording = { version: TIMELINE_VERSION, seed, config: recordedConfig, events: [] };
+      
+      if (config.PAUSED) render();
     }
 
-    function render() {
-      // Simple display with no bloom or sunrays
-      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
-      gl.enable(gl.BLEND);
+    // Returns the timeline as a plain object, ready for JSON.stringify
+    function stopRecording() {
+      if (!recording) return null;
       
-      // Display result
-      displayProgram.bind();
-      gl.uniform1i(displayProgram.uniforms.uTexture, density.read.attach(0));
-      blit(null);
+      const timeline = { ...recording, steps: stepIndex };
+      recording = null;
+      return timeline;
     }
 
-    // Random color generation - simplified for consistency
-    function generateColor() {
-      // Generate a color from a simplified HSV color wheel
-      const h = Math.random(); // Random hue
-      const s = 0.7;           // Fixed saturation
-      const v = 0.8;           // Fixed value/brightness
+    function isTimeline(data) {
+      const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+      return data !== null && typeof data === 'object' &&
+        isNumber(data.seed) && isNumber(data.steps) &&
+        data.config !== null && typeof data.config === 'object' &&
+        Array.isArray(data.events) &&
+        data.events.every(event => event !== null && typeof event === 'object' &&
+          ['step', 'x', 'y', 'dx', 'dy', 'radius'].every(key => isNumber(event[key])) &&
+          event.color !== null && typeof event.color === 'object' &&
+          ['r', 'g', 'b'].every(key => isNumber(event.color[key])) &&
+          SPLAT_PROFILES.includes(event.profile));
+    }
+
+    // Drive the simulation from a timeline (or its JSON), optionally starting over when it ends
+    function replay(timeline, options = {}) {
+      if (destroyed || gl.isContextLost()) {
+        console.error('Cannot replay while the WebGL context is not available');
+        return false;
+      }
       
-      let r, g, b;
+      // Everything is checked before the running simulation is touched
+      let data = timeline;
+      if (typeof timeline === 'string') {
+        try {
+          data = JSON.parse(timeline);
+        } catch (e) {
+          console.error('Fluid simulation timeline is not valid JSON:', e.message);
+          return false;
+        }
+      }
+      if (!data || data.version !== TIMELINE_VERSION) {
+        console.error('Unsupported fluid simulation timeline');
+        return false;
+      }
+      if (!isTimeline(data)) {
+        console.error('Fluid simulation timeline is malformed');
+        return false;
+      }
       
-      const i = Math.floor(h * 6);
-      const f = h * 6 - i;
-      const p = v * (1 - s);
-      const q = v * (1 - f * s);
-      const t = v * (1 - (1 - f) * s);
+      recording = null;
+      setConfig(data.config);
+      resetSimulation(data.seed);
+      replaying = { timeline: data, next: 0, loop: !!options.loop };
       
-      switch (i % 6) {
-        case 0: r = v, g = t, b = p; break;
-        case 1: r = q, g = v, b = p; break;
-        case 2: r = p, g = v, b = t; break;
-        case 3: r = p, g = q, b = v; break;
-        case 4: r = t, g = p, b = v; break;
-        case 5: r = v, g = p, b = q; break;
+      if (config.PAUSED) render();
+      return true;
+    }
+
+    function applyReplayEvents() {
+      const { timeline } = replaying;
+      if (stepIndex >= timeline.steps) {
+        if (!replaying.loop) {
+          replaying = null;
+          return;
+        }
+        resetSimulation(timeline.seed);
+        replaying.next = 0;
       }
       
-      // Make colors less intense
-      return { r: r * 0.2, g: g * 0.2, b: b * 0.2 };
+      const { events } = timeline;
+      while (replaying.next < events.length && events[replaying.next].step <= stepIndex) {
+        const event = events[replaying.next++];
+        splat(event.x, event.y, event.dx, event.dy, event.color, event.radius, event.profile);
+      }
+    }
+
+    // Offline export: the display pass is drawn into an RGBA8 framebuffer of any size and read back,
+    // since the canvas itself (with preserveDrawingBuffer off) is blank outside its frame
+    let captureTarget = null;
+    let encodeCanvas = null;
+    let exporting = false;
+
+    // Exports are drawn into a texture through a viewport, so both limit their size
+    function checkExportSize(width, height) {
+      const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+      const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+      const maxWidth = Math.min(maxSize, maxViewport[0]);
+      const maxHeight = Math.min(maxSize, maxViewport[1]);
+      const isSize = (value, max) => Number.isInteger(value) && value > 0 && value <= max;
+      if (!isSize(width, maxWidth) || !isSize(height, maxHeight)) {
+        throw new Error(`Export size must be whole pixels up to ${maxWidth}x${maxHeight}, got ${width}x${height}`);
+      }
+    }
+
+    // Returns un-premultiplied, top-down pixels
+    function renderPixels(width, height, transparent) {
+      if (!captureTarget || captureTarget.width !== width || captureTarget.height !== height) {
+        if (captureTarget) deleteFBO(captureTarget);
+        captureTarget = createFBO(width, height, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, gl.NEAREST);
+        
+        // Within the limits, a texture can still be too large for the memory that's left
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+          deleteFBO(captureTarget);
+          captureTarget = null;
+          throw new Error(`Could not create a ${width}x${height} framebuffer for the export`);
+        }
+      }
+      
+      render(captureTarget, transparent);
+      const pixels = new Uint8Array(width * height * 4);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      
+      const image = new ImageData(width, height);
+      for (let y = 0; y < height; y++) {
+        let source = (height - 1 - y) * width * 4;
+        let dest = y * width * 4;
+        for (let x = 0; x < width; x++, source += 4, dest += 4) {
+          const alpha = pixels[source + 3];
+          const scale = alpha > 0 ? 255 / alpha : 0;
+          image.data[dest] = pixels[source] * scale;
+          image.data[dest + 1] = pixels[source + 1] * scale;
+          image.data[dest + 2] = pixels[source + 2] * scale;
+          image.data[dest + 3] = alpha;
+        }
+      }
+      return image;
+    }
+
+    // A 2D canvas that turns pixels into PNGs or video frames
+    function getEncodeCanvas(width, height) {
+      if (!encodeCanvas) {
+        encodeCanvas = document.createElement('canvas');
+      }
+      if (encodeCanvas.width !== width || encodeCanvas.height !== height) {
+        encodeCanvas.width = width;
+        encodeCanvas.height = height;
+      }
+      return encodeCanvas;
+    }
+
+    function canvasToBlob(source, type, quality) {
+      return new Promise((resolve, reject) => {
+        source.toBlob(blob => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error(`Could not encode ${type}`));
+          }
+        }, type, quality);
+      });
+    }
+
+    function startVideoRecorder(source, fps) {
+      if (typeof MediaRecorder === 'undefined' || !source.captureStream) {
+        throw new Error('WebM export needs MediaRecorder and canvas.captureStream');
+      }
+      
+      // Frames are pushed by hand with requestFrame rather than sampled on a timer
+      const stream = source.captureStream(0);
+      const track = stream.getVideoTracks()[0];
+      const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, { mimeType });
+      const chunks = [];
+      recorder.ondataavailable = e => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.start();
+      return { recorder, track, chunks, frameDuration: 1000 / fps };
+    }
+
+    function stopVideoRecorder({ recorder, track, chunks }) {
+      return new Promise(resolve => {
+        recorder.onstop = () => {
+          track.stop();
+          resolve(new Blob(chunks, { type: 'video/webm' }));
+        };
+        recorder.stop();
+      });
+    }
+
+    function delay(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    const IMAGE_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+    // Screenshot of the current dye at any size, leaving the canvas untouched
+    async function captureImage(options = {}) {
+      const {
+        width = canvas.width,
+        height = canvas.height,
+        format = 'png',
+        quality,
+        transparent = config.TRANSPARENT
+      } = options;
+      
+      if (!IMAGE_TYPES[format]) throw new Error(`Unknown image format: ${format}`);
+      if (destroyed || gl.isContextLost()) throw new Error('The WebGL context is not available');
+      // The encode canvas may be the one a video export is recording
+      if (exporting) throw new Error('An export is already running');
+      checkExportSize(width, height);
+      
+      const image = renderPixels(width, height, transparent);
+      const output = getEncodeCanvas(width, height);
+      output.getContext('2d').putImageData(image, 0, 0);
+      return canvasToBlob(output, IMAGE_TYPES[format], quality);
+    }
+
+    // Render `frames` frames, stepping the simulation by 1 / fps between them on the fixed
+    // TIME_STEP, and resolve with a zip of PNGs or a WebM. The live loop waits until it finishes.
+    async function renderFrames(options = {}) {
+      const {
+        frames = 60,
+        width = canvas.width,
+        height = canvas.height,
+        fps = 60,
+        format = 'png',
+        transparent = config.TRANSPARENT,
+        onProgress
+      } = options;
+      
+      if (exporting) throw new Error('An export is already running');
+      if (format !== 'png' && format !== 'webm') throw new Error(`Unknown export format: ${format}`);
+      if (destroyed || gl.isContextLost()) throw new Error('The WebGL context is not available');
+      checkExportSize(width, height);
+      
+      exporting = true;
+      stopLoop();
+      let video = null;
+      
+      try {
+        const output = getEncodeCanvas(width, height);
+        const context = output.getContext('2d');
+        video = format === 'webm' ? startVideoRecorder(output, fps) : null;
+        const files = [];
+        let frameAccumulator = 0;
+        
+        for (let frame = 0; frame < frames; frame++) {
+          if (destroyed || gl.isContextLost()) throw new Error('The WebGL context was lost during the export');
+          
+          displayRangesStale = true;
+          context.putImageData(renderPixels(width, height, transparent), 0, 0);
+          render();
+          
+          if (video) {
+            // MediaRecorder timestamps frames as they arrive, so they are paced in real time
+            video.track.requestFrame();
+            await delay(video.frameDuration);
+          } else {
+            const blob = await canvasToBlob(output, 'image/png');
+            files.push({
+              name: `frame-${String(frame).padStart(5, '0')}.png`,
+              data: new Uint8Array(await blob.arrayBuffer())
+            });
+          }
+          
+          if (onProgress) onProgress((frame + 1) / frames);
+          
+          // Colors and a video dye source follow the exported time rather than the wall clock
+          updateColors(1 / fps);
+          updateDyeSourceFrame();
+          
+          // The tolerance keeps rounding from dropping a step when 1 / fps is a multiple of TIME_STEP
+          frameAccumulator += 1 / fps;
+          while (frameAccumulator >= config.TIME_STEP - 1e-9) {
+            step(config.TIME_STEP);
+            frameAccumulator -= config.TIME_STEP;
+          }
+        }
+        
+        return video ? await stopVideoRecorder(video) : createZip(files);
+      } finally {
+        // A failed WebM export still has to let go of the recorder and the canvas stream
+        if (video) {
+          if (video.recorder.state !== 'inactive') video.recorder.stop();
+          video.track.stop();
+        }
+        exporting = false;
+        lastTime = null;
+        startLoop();
+      }
     }
 
     // Animation loop
-    let lastTime = 0;
+    const MAX_FRAME_TIME = 0.25; // Longer frames (e.g. a backgrounded tab) aren't caught up on
+    let lastTime = null;
+    let lastRangeTime = 0;
+    let accumulator = 0;
+    let animationFrame = null; // Id of the only pending requestAnimationFrame, if any
+    let timeScale = 1.0;
+    let destroyed = false;
     
     function update(time) {
-      const dt = (time - lastTime) / 1000.0 || 0;
+      animationFrame = null;
+      
+      const dt = lastTime === null ? 0 : Math.min((time - lastTime) / 1000.0, MAX_FRAME_TIME);
       lastTime = time;
       
+      updateColors(dt * timeScale);
+      updateDyeSourceFrame();
       applyInputs();
-      step(Math.min(dt, 0.016));
+      
+      // Advance in fixed steps so every display refresh rate simulates the same thing
+      accumulator += dt * timeScale;
+      let substeps = 0;
+      while (accumulator >= config.TIME_STEP && substeps < config.MAX_SUBSTEPS) {
+        step(config.TIME_STEP);
+        accumulator -= config.TIME_STEP;
+        substeps++;
+      }
+      
+      // Drop whatever the substep limit couldn't catch up on instead of falling further behind
+      accumulator = Math.min(accumulator, config.TIME_STEP);
+      
+      if (time - lastRangeTime > DISPLAY_RANGE_INTERVAL) {
+        lastRangeTime = time;
+        displayRangesStale = true;
+      }
+      
       render();
       
-      requestAnimationFrame(update);
+      if (config.SNAPSHOT_INTERVAL > 0 && time - lastSnapshotTime > config.SNAPSHOT_INTERVAL * 1000) {
+        lastSnapshotTime = time;
+        takeSnapshot();
+      }
+      
+      startLoop();
     }
 
-    function resizeCanvas() {
-      canvas.width = Math.floor(canvas.clientWidth * dpr);
-      canvas.height = Math.floor(canvas.clientHeight * dpr);
-      
-      simRes = getResolution(config.SIM_RESOLUTION);
-      dyeRes = getResolution(config.DYE_RESOLUTION);
-      
-      // Resize FBOs
-      const texType = ext.halfFloatTexType;
-      const filterType = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+    // Schedule the next frame unless one is already pending, so there is never more than one loop
+    function startLoop() {
+      if (animationFrame !== null || config.PAUSED || destroyed || exporting || gl.isContextLost()) return;
+      animationFrame = requestAnimationFrame(update);
+    }
+
+    function stopLoop() {
+      if (animationFrame === null) return;
+      cancelAnimationFrame(animationFrame);
+      animationFrame = null;
+    }
+
+    function pause() {
+      config.PAUSED = true;
+      stopLoop();
+    }
+
+    function resume() {
+      config.PAUSED = false;
+      // Don't count the time spent paused as a frame delta
+      lastTime = null;
+      accumulator = 0;
+      startLoop();
+    }
+
+    // Advance exactly `count` fixed steps and show the result, for stepping through a paused simulation
+    function advance(count) {
+      if (destroyed || exporting || gl.isContextLost()) return;
       
-      density = createDoubleFBO(
-        dyeRes.width,
-        dyeRes.height,
-        ext.formatRGBA.internalFormat,
-        ext.formatRGBA.format,
-        texType,
-        filterType
-      );
-      
-      velocity = createDoubleFBO(
-        simRes.width,
-        simRes.height,
-        ext.formatRG.internalFormat,
-        ext.formatRG.format,
-        texType,
-        filterType
-      );
-      
-      divergence = createFBO(
-        simRes.width,
-        simRes.height,
-        ext.formatR.internalFormat,
-        ext.formatR.format,
-        texType,
-        gl.NEAREST
-      );
-      
-      curl = createFBO(
-        simRes.width,
-        simRes.height,
-        ext.formatR.internalFormat,
-        ext.formatR.format,
-        texType,
-        gl.NEAREST
-      );
-      
-      pressure = createDoubleFBO(
-        simRes.width,
-        simRes.height,
-        ext.formatR.internalFormat,
-        ext.formatR.format,
-        texType,
-        gl.NEAREST
-      );
+      updateColors(count * config.TIME_STEP);
+      updateDyeSourceFrame();
+      applyInputs();
+      for (let i = 0; i < count; i++) {
+        step(config.TIME_STEP);
+      }
+      displayRangesStale = true;
+      render();
     }
 
-    // Event handlers
-  canvas.addEventListener('mousemove', e => {
-      // Calculate pointer delta
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      
-      // Store previous position
-      const prevX = pointer.x;
-      const prevY = pointer.y;
-      
-      // Update position
-      pointer.x = x * window.devicePixelRatio;
-      pointer.y = y * window.devicePixelRatio;
-      
-      // Calculate movement
-      pointer.dx = (pointer.x - prevX) * 1.0;
-      pointer.dy = (pointer.y - prevY) * 1.0;
-      
-      pointer.moved = Math.abs(pointer.dx) > 0 || Math.abs(pointer.dy) > 0;
-  });
-  
-  canvas.addEventListener('mousedown', e => {
-      pointer.down = true;
-      pointer.color = generateColor();
-  });
-  
-  window.addEventListener('mouseup', () => {
-      pointer.down = false;
-  });
-  
-  canvas.addEventListener('touchmove', e => {
-    e.preventDefault();
-    const touch = e.touches[0];
-      const rect = canvas.getBoundingClientRect();
+    // Rebuild every GL object from scratch and continue from the last snapshot
+    function restoreContext() {
+      ext = getWebGLExtensions();
+      initPrograms();
+      initBlit();
+      initNoise();
+      displayRangesStale = true;
+      
+      density = null;
+      velocity = null;
+      pressure = null;
+      divergence = null;
+      curl = null;
+      obstacles = null;
+      temperature = null;
+      bloom = null;
+      bloomFramebuffers = [];
+      sunrays = null;
+      sunraysTemp = null;
+      packTarget = null;
+      captureTarget = null;
+      velocityDiffusionSource = null;
+      densityDiffusionSource = null;
+      simAdvectionTemps = null;
+      dyeAdvectionTemps = null;
+      forceFields.forEach(field => {
+        field.texture = null;
+      });
+      if (dyeSource) {
+        dyeSource.texture = null;
+      }
+      initFramebuffers();
+      restoreSnapshot();
+      obstacleOps.forEach(applyObstacleOp);
       
-      // Calculate new position
-      const x = touch.clientX - rect.left;
-      const y = touch.clientY - rect.top;
+      lastTime = null;
+      accumulator = 0;
+      lastSnapshotTime = 0;
       
-      // Store previous position
-      const prevX = pointer.x;
-      const prevY = pointer.y;
+      if (config.PAUSED) {
+        render();
+      } else {
+        startLoop();
+      }
+      console.log('WebGL context restored');
+    }
+
+    // Match the canvas to its displayed size and resample the fields into targets of the new size
+    function resizeCanvas() {
+      const width = Math.floor(canvas.clientWidth * dpr);
+      const height = Math.floor(canvas.clientHeight * dpr);
       
-      // Update position - Fixed: multiply by devicePixelRatio
-      pointer.x = x * window.devicePixelRatio;
-      pointer.y = y * window.devicePixelRatio;
+      if (canvas.width === width && canvas.height === height) {
+        return;
+      }
       
-      // Calculate movement
-      pointer.dx = (pointer.x - prevX) * 10.0;
-      pointer.dy = (pointer.y - prevY) * 10.0;
+      canvas.width = width;
+      canvas.height = height;
       
-      pointer.moved = Math.abs(pointer.dx) > 0 || Math.abs(pointer.dy) > 0;
-    }, { passive: false });
-  
-  canvas.addEventListener('touchstart', e => {
-    e.preventDefault();
-    const touch = e.touches[0];
-      const rect = canvas.getBoundingClientRect();
-      
-      // Fixed: multiply by devicePixelRatio
-      pointer.x = (touch.clientX - rect.left) * window.devicePixelRatio;
-      pointer.y = (touch.clientY - rect.top) * window.devicePixelRatio;
-      pointer.down = true;
-      pointer.color = generateColor();
-    }, { passive: false });
+      // A restored context rebuilds the framebuffers at the current size anyway
+      if (!gl.isContextLost()) {
+        initFramebuffers();
+        
+        // Resizing clears the canvas, so redraw the frozen frame
+        if (config.PAUSED) {
+          render();
+        }
+      }
+    }
+
+    // Wait for the window to settle before rebuilding the render targets
+    const RESIZE_DEBOUNCE_MS = 150;
+    let resizeTimeout = null;
     
-    window.addEventListener('touchend', () => {
-      pointer.down = false;
+    function onWindowResize() {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        resizeTimeout = null;
+        resizeCanvas();
+      }, RESIZE_DEBOUNCE_MS);
+    }
+
+    // Every listener the simulation registers, so destroy() can remove them all
+    const listeners = [];
+    
+    function listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      listeners.push({ target, type, handler, options });
+    }
+
+    // Event handlers
+    listen(window, 'resize', onWindowResize);
+
+    listen(canvas, 'webglcontextlost', e => {
+      // Prevent the default so the browser is allowed to restore the context
+      e.preventDefault();
+      stopLoop();
+      console.warn('WebGL context lost, waiting for it to be restored');
     });
     
-    window.addEventListener('resize', resizeCanvas);
+    listen(canvas, 'webglcontextrestored', restoreContext);
 
     // Initialize and start simulation
-    resizeCanvas();
     
     // Add some initial random splats for visual effect
-    multipleSplats(5);
+    multipleSplats(INITIAL_SPLATS);
     
-    update(0);
+    startLoop();
 
     // Function to create multiple random splats
     function multipleSplats(amount) {
       for (let i = 0; i < amount; i++) {
         const color = generateColor();
-        const x = Math.random();
-        const y = Math.random();
-        const dx = 1000 * (Math.random() - 0.5);
-        const dy = 1000 * (Math.random() - 0.5);
-        splat(x, y, dx, dy, color);
+        const x = random();
+        const y = random();
+        const dx = 1000 * (random() - 0.5);
+        const dy = 1000 * (random() - 0.5);
+        splat(x, y, dx, dy, config.COLOR_MODE === 'speed' ? speedColor(dx, dy) : color);
+      }
+    }
+
+    // Release everything the simulation owns: the loop, listeners, GL objects and the context itself
+    function destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      
+      stopLoop();
+      clearTimeout(resizeTimeout);
+      
+      listeners.forEach(({ target, type, handler, options }) => {
+        target.removeEventListener(type, handler, options);
+      });
+      listeners.length = 0;
+      input.destroy();
+      
+      // Objects from a lost context are already gone
+      if (!gl.isContextLost()) {
+        programs.forEach(program => program.delete());
+        gl.deleteShader(vertexShader);
+        gl.deleteBuffer(quadBuffer);
+        gl.deleteTexture(noiseTexture);
+        
+        deleteDoubleFBO(density);
+        deleteDoubleFBO(velocity);
+        deleteDoubleFBO(pressure);
+        deleteFBO(divergence);
+        deleteFBO(curl);
+        deleteDoubleFBO(obstacles);
+        deleteDoubleFBO(temperature);
+        deleteFBO(bloom);
+        bloomFramebuffers.forEach(deleteFBO);
+        deleteFBO(sunrays);
+        deleteFBO(sunraysTemp);
+        if (packTarget) deleteFBO(packTarget);
+        if (captureTarget) deleteFBO(captureTarget);
+        if (velocityDiffusionSource) deleteFBO(velocityDiffusionSource);
+        if (densityDiffusionSource) deleteFBO(densityDiffusionSource);
+        if (simAdvectionTemps) simAdvectionTemps.forEach(deleteFBO);
+        if (dyeAdvectionTemps) dyeAdvectionTemps.forEach(deleteFBO);
+        forceFields.forEach(deleteForceTexture);
+        clearDyeSource();
+      }
+      
+      programs = [];
+      obstacleOps = [];
+      emitters.clear();
+      forceFields.clear();
+      density = velocity = pressure = divergence = curl = obstacles = temperature = packTarget = captureTarget = null;
+      velocityDiffusionSource = densityDiffusionSource = simAdvectionTemps = dyeAdvectionTemps = null;
+      bloom = sunrays = sunraysTemp = null;
+      bloomFramebuffers = [];
+      snapshot = null;
+      
+      // Hand the context back to the browser now rather than whenever it is garbage collected
+      const loseContext = gl.getExtension('WEBGL_lose_context');
+      if (loseContext) {
+        loseContext.loseContext();
+      }
+    }
+
+    // Merge config changes and rebuild whatever depends on the keys that changed
+    function setConfig(newConfig) {
+      // The framebuffers are gone after destroy(), even if the context itself was never lost
+      if (destroyed) return;
+      
+      const changed = new Set();
+      
+      Object.keys(newConfig).forEach(key => {
+        let value = newConfig[key];
+        // A bad resolution would build empty or invalid framebuffers without any error
+        if (key.endsWith('_RESOLUTION') && !(typeof value === 'number' && Number.isFinite(value) && value >= 1)) {
+          console.error(`Invalid ${key}:`, value);
+          return;
+        }
+        if (key in resolutionLimits) {
+          value = Math.min(value, resolutionLimits[key]);
+        }
+        if (config[key] !== value) {
+          config[key] = value;
+          changed.add(key);
+        }
+      });
+      
+      // Rebuild only the render targets whose resolution changed
+      if ((changed.has('SIM_RESOLUTION') || changed.has('DYE_RESOLUTION')) && !gl.isContextLost()) {
+        initFramebuffers();
+      }
+      
+      if ((changed.has('BLOOM_RESOLUTION') || changed.has('BLOOM_ITERATIONS')) && !gl.isContextLost()) {
+        initBloomFramebuffers();
+      }
+      
+      if (changed.has('SUNRAYS_RESOLUTION') && !gl.isContextLost()) {
+        initSunraysFramebuffers();
+      }
+      
+      // Light and absorbance don't convert into each other, so the dye starts over
+      if (changed.has('DYE_MODE') && !gl.isContextLost()) {
+        gl.disable(gl.BLEND);
+        clearDoubleFBO(density);
+        if (config.PAUSED) render();
+      }
+      
+      // Heat stops moving while the field is off, so it is cleared rather than frozen in place
+      if (changed.has('TEMPERATURE') && !gl.isContextLost()) {
+        gl.disable(gl.BLEND);
+        clearDoubleFBO(temperature);
+      }
+      
+      if (changed.has('PALETTE')) {
+        updatePalette();
+      }
+      
+      if (changed.has('ADVECTION') && !ADVECTION_SCHEMES.includes(config.ADVECTION)) {
+        console.error('Unknown advection scheme:', config.ADVECTION);
+        config.ADVECTION = 'semi-lagrangian';
+      }
+      
+      if (changed.has('EDGES') && !gl.isContextLost()) {
+        updateWrapModes();
+      }
+      
+      // Show a new display mode right away, even while paused
+      const displayKeys = ['DISPLAY_MODE', 'COLORMAP', 'DISPLAY_RANGE', 'OVERLAY', 'BLOOM', 'SUNRAYS', 'DITHERING', 'BACK_COLOR', 'AMBIENT_TEMPERATURE'];
+      if (displayKeys.some(key => changed.has(key)) && !gl.isContextLost()) {
+        displayRangesStale = true;
+        if (config.PAUSED) render();
+      }
+      
+      if (changed.has('PAUSED')) {
+        if (config.PAUSED) {
+          pause();
+        } else {
+          resume();
+        }
       }
     }
 
     // Return API
   return {
-      setConfig(newConfig) {
-        Object.assign(config, newConfig);
+      setConfig,
+      renderFrames,
+      captureImage,
+      startRecording,
+      stopRecording,
+      replay,
+      stopReplay() {
+        replaying = null;
       },
-      pause() {
-        config.PAUSED = true;
+      isReplaying() {
+        return replaying !== null;
       },
-      resume() {
-        config.PAUSED = false;
-        lastTime = 0;
-        update(0);
+      // Binary save and load of the dye, velocity and pressure fields with the config
+      exportState,
+      importState,
+      pause,
+      resume,
+      step(count = 1) {
+        advance(Math.max(0, Math.floor(count)));
+      },
+      setTimeScale(scale) {
+        // A NaN would poison the step accumulator for good
+        if (typeof scale !== 'number' || !Number.isFinite(scale)) {
+          console.error('Invalid time scale:', scale);
+          return;
+        }
+        timeScale = Math.max(0, scale);
+      },
+      isRunning() {
+        return animationFrame !== null;
+      },
+      destroy,
+      // A drag of (dx, dy) at (x, y), like pointer input. Normalized units are fractions of the
+      // canvas with (0, 0) at the top left; pixel units are canvas pixels, and the radius is then
+      // the distance at which the splat fades out.
+      splat(x, y, dx, dy, color = generateColor(), radius = config.SPLAT_RADIUS, options = {}) {
+        const { units = 'normalized', profile = 'gaussian' } = options;
+        if (!SPLAT_PROFILES.includes(profile)) {
+          console.error('Unknown splat profile:', profile);
+          return;
+        }
+        if (destroyed || gl.isContextLost()) return;
+        
+        if (units === 'pixels') {
+          x /= canvas.width;
+          y /= canvas.height;
+          dx /= canvas.width;
+          dy /= canvas.height;
+          radius = 100.0 * Math.pow(radius / (2.0 * canvas.height), 2);
+        }
+        
+        const aspectRatio = canvas.width / canvas.height;
+        if (aspectRatio < 1) dx *= aspectRatio;
+        if (aspectRatio > 1) dy /= aspectRatio;
+        
+        splat(x, 1.0 - y, config.SPLAT_FORCE * dx, -config.SPLAT_FORCE * dy, color, radius, profile);
+        if (config.PAUSED) render();
+      },
+      applyForceField,
+      // Mix an image, bitmap, canvas or video into the dye, once or continuously
+      setDyeSource,
+      clearDyeSource,
+      addEmitter,
+      // Obstacles use normalized canvas coordinates with (0, 0) at the top left,
+      // and radii as a fraction of the canvas height
+      paintObstacle(x, y, radius) {
+        if (destroyed) return;
+        const op = { type: 'paint', x, y: 1.0 - y, radius, value: 1.0 };
+        obstacleOps.push(op);
+        if (!gl.isContextLost()) applyObstacleOp(op);
+      },
+      eraseObstacle(x, y, radius) {
+        if (destroyed) return;
+        const op = { type: 'paint', x, y: 1.0 - y, radius, value: 0.0 };
+        obstacleOps.push(op);
+        if (!gl.isContextLost()) applyObstacleOp(op);
+      },
+      // Solid wherever the image's alpha (or luminance) passes the threshold
+      setObstacleImage(image, options = {}) {
+        if (destroyed) return;
+        const op = { type: 'image', image, options };
+        obstacleOps = [op];
+        if (!gl.isContextLost()) applyObstacleOp(op);
+      },
+      clearObstacles() {
+        if (destroyed) return;
+        if (gl.isContextLost()) {
+          obstacleOps = [];
+        } else {
+          clearObstacles();
+        }
       }
     };
   } catch (e) {
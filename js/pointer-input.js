@@ -0,0 +1,130 @@
+/**
+ * Pointer Input
+ * Unifies mouse, touch and pen input through Pointer Events into one pointer table
+ */
+
+function createPointerInput(canvas, options = {}) {
+  const { onPointerDown } = options;
+
+  // One entry per active pointer, keyed by PointerEvent.pointerId
+  const pointers = new Map();
+  const listeners = [];
+
+  function listen(target, type, handler, listenerOptions) {
+    target.addEventListener(type, handler, listenerOptions);
+    listeners.push({ target, type, handler, listenerOptions });
+  }
+
+  function createPointer(e) {
+    return {
+      id: e.pointerId,
+      type: e.pointerType,
+      x: 0,
+      y: 0,
+      dx: 0,
+      dy: 0,
+      down: false,
+      moved: false,
+      pressure: 1.0,
+      tiltX: 0.0,
+      tiltY: 0.0,
+      color: { r: 0, g: 0, b: 0 }
+    };
+  }
+
+  // Map client coordinates to canvas pixels. The canvas was sized with the clamped
+  // device pixel ratio, so its backing size over its displayed size is that ratio.
+  function toCanvasPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  }
+
+  // Pens report pressure and tilt; mouse and touch always splat at nominal strength
+  function updatePenState(pointer, e) {
+    if (e.pointerType !== 'pen') return;
+
+    // A pen reports 0.5 at its default pressure, which maps to the nominal 1.0
+    pointer.pressure = Math.min(Math.max(e.pressure * 2.0, 0.0), 2.0);
+    pointer.tiltX = Math.sin((e.tiltX || 0) * Math.PI / 180);
+    pointer.tiltY = Math.sin((e.tiltY || 0) * Math.PI / 180);
+  }
+
+  listen(canvas, 'pointerdown', e => {
+    e.preventDefault();
+
+    let pointer = pointers.get(e.pointerId);
+    if (!pointer) {
+      pointer = createPointer(e);
+      pointers.set(e.pointerId, pointer);
+    }
+
+    const { x, y } = toCanvasPosition(e);
+    pointer.x = x;
+    pointer.y = y;
+    pointer.dx = 0;
+    pointer.dy = 0;
+    pointer.down = true;
+    pointer.moved = false;
+    updatePenState(pointer, e);
+
+    // Keep receiving moves when the pointer leaves the canvas mid-drag
+    if (canvas.setPointerCapture) {
+      canvas.setPointerCapture(e.pointerId);
+    }
+
+    if (onPointerDown) {
+      onPointerDown(pointer);
+    }
+  });
+
+  listen(canvas, 'pointermove', e => {
+    let pointer = pointers.get(e.pointerId);
+
+    // Mice are tracked while hovering so the first drag delta starts from the cursor
+    if (!pointer) {
+      if (e.pointerType !== 'mouse') return;
+      pointer = createPointer(e);
+      pointers.set(e.pointerId, pointer);
+    }
+
+    // Deltas add up until the simulation consumes them, however many events arrive per frame
+    const { x, y } = toCanvasPosition(e);
+    pointer.dx += x - pointer.x;
+    pointer.dy += y - pointer.y;
+    pointer.x = x;
+    pointer.y = y;
+    pointer.moved = Math.abs(pointer.dx) > 0 || Math.abs(pointer.dy) > 0;
+    updatePenState(pointer, e);
+  });
+
+  function onPointerUp(e) {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer) return;
+
+    if (e.pointerType === 'mouse') {
+      pointer.down = false;
+    } else {
+      pointers.delete(e.pointerId);
+    }
+  }
+
+  listen(window, 'pointerup', onPointerUp);
+  listen(window, 'pointercancel', onPointerUp);
+
+  // Stop the browser from turning touch drags into scrolling or zooming
+  canvas.style.touchAction = 'none';
+
+  return {
+    pointers,
+    destroy() {
+      listeners.forEach(({ target, type, handler, listenerOptions }) => {
+        target.removeEventListener(type, handler, listenerOptions);
+      });
+      listeners.length = 0;
+      pointers.clear();
+    }
+  };
+}
@@ -5,12 +5,6 @@ document.addEventListener('DOMContentLoaded', () => {
     // Get reference to the canvas
     const canvas = document.getElementById('canvas');
     
-    // Add simple error handling
-    canvas.addEventListener('webglcontextlost', function(e) {
-        e.preventDefault();
-        console.error('WebGL context lost. Please refresh the page.');
-    });
-    
     try {
         // Create the fluid simulation
         const fluidSim = createFluidSimulation(canvas);
@@ -23,8 +17,8 @@ document.addEventListener('DOMContentLoaded', () => {
         fluidSim.setConfig({
             SIM_RESOLUTION: 512,
             DYE_RESOLUTION: 1024,
-            DENSITY_DISSIPATION: .99,     // User specified value
-            VELOCITY_DISSIPATION: 0.98,   // User specified value  
+            DENSITY_DISSIPATION: 0.6,     // User specified value (about 0.99 per frame at 60 Hz)
+            VELOCITY_DISSIPATION: 1.2,    // User specified value (about 0.98 per frame at 60 Hz)
             PRESSURE: 0.8,                // User specified value
             PRESSURE_ITERATIONS: 20,
             CURL: 4,                      // User specified value (vorticity)
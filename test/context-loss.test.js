@@ -0,0 +1,40 @@
+/**
+ * Context loss tests
+ * Checks which fields the CPU snapshot brings back when the WebGL context is restored.
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment } = require('./environment');
+
+// Run long enough for a snapshot, then lose and restore the context, and return the sizes of
+// the field data uploaded by the restore
+function loseAndRestore(config) {
+  const env = createEnvironment();
+  const sim = env.create();
+  sim.setConfig({ SNAPSHOT_INTERVAL: 1, SNAPSHOT_RESOLUTION: 32, ...config });
+  env.frame(0);
+  env.frame(16);
+  env.frame(2000);
+
+  const { uploads } = env.contexts[0];
+  const uploadCount = uploads.length;
+  env.canvas.dispatchEvent({ type: 'webglcontextlost', preventDefault() {} });
+  env.canvas.dispatchEvent({ type: 'webglcontextrestored' });
+  // The arrays come from the sandbox, so they are matched by name rather than instanceof
+  const restored = uploads.slice(uploadCount)
+    .filter(upload => upload.data.constructor.name === 'Uint16Array')
+    .map(({ width, height }) => [width, height]);
+
+  sim.destroy();
+  return restored;
+}
+
+test('the snapshot restores dye and velocity', () => {
+  assert.deepStrictEqual(loseAndRestore({ TEMPERATURE: false }), [[43, 32], [43, 32]]);
+});
+
+test('the snapshot also restores temperature while it is on', () => {
+  assert.deepStrictEqual(loseAndRestore({ TEMPERATURE: true }), [[43, 32], [43, 32], [43, 32]]);
+});
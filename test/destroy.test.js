@@ -0,0 +1,71 @@
+/**
+ * destroy() tests
+ * Checks that create/destroy cycles leave no GL objects, listeners or animation frames behind.
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment } = require('./environment');
+
+test('destroy releases every GL object, listener and animation frame', () => {
+  const env = createEnvironment({ loseContext: true });
+  const sim = env.create();
+  assert.ok(sim);
+
+  env.frame(0);
+  env.frame(16);
+  sim.setConfig({ SIM_RESOLUTION: 64, BLOOM: true, SUNRAYS: true });
+  env.frame(32);
+
+  const { live } = env.contexts[0];
+  assert.ok(live.size > 0);
+  assert.ok(env.canvas.listenerCount > 0);
+  assert.ok(env.frames.size > 0);
+
+  sim.destroy();
+
+  assert.deepStrictEqual([...live].map(object => object.type), []);
+  assert.strictEqual(env.canvas.listenerCount, 0);
+  assert.strictEqual(env.window.listenerCount, 0);
+  assert.strictEqual(env.frames.size, 0);
+  assert.strictEqual(sim.isRunning(), false);
+});
+
+test('repeated create/destroy cycles stay leak-free', () => {
+  const env = createEnvironment({ loseContext: true });
+
+  for (let i = 0; i < 20; i++) {
+    const sim = env.create();
+    env.frame(i * 100);
+    env.frame(i * 100 + 16);
+    sim.destroy();
+  }
+
+  assert.strictEqual(env.contexts.length, 20);
+  env.contexts.forEach(({ live }) => assert.strictEqual(live.size, 0));
+  assert.strictEqual(env.canvas.listenerCount, 0);
+  assert.strictEqual(env.window.listenerCount, 0);
+  assert.strictEqual(env.frames.size, 0);
+});
+
+test('the API is inert after destroy without WEBGL_lose_context', () => {
+  const env = createEnvironment({ loseContext: false });
+  const sim = env.create();
+  env.frame(0);
+  sim.destroy();
+
+  assert.strictEqual(env.contexts[0].gl.isContextLost(), false);
+  assert.doesNotThrow(() => {
+    sim.splat(0.5, 0.5, 0.1, 0.1, { r: 1, g: 0, b: 0 });
+    sim.setConfig({ SIM_RESOLUTION: 32, PAUSED: false });
+    sim.step(3);
+    sim.resume();
+    sim.paintObstacle(0.5, 0.5, 0.1);
+    sim.clearObstacles();
+    sim.destroy();
+  });
+  assert.strictEqual(sim.exportState(), null);
+  assert.strictEqual(env.frames.size, 0);
+  assert.strictEqual(env.contexts[0].live.size, 0);
+});
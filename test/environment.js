@@ -0,0 +1,170 @@
+/**
+ * Test environment
+ * Loads the browser scripts into a vm sandbox with a stubbed canvas, window and WebGL context.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = ['js/pointer-input.js', 'js/zip.js', 'js/fluid-simulation.js'];
+
+// Event targets that count their listeners
+function createEventTarget(props = {}) {
+  const listeners = new Map();
+  return {
+    ...props,
+    addEventListener(type, handler) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(handler);
+    },
+    removeEventListener(type, handler) {
+      if (listeners.has(type)) listeners.get(type).delete(handler);
+    },
+    dispatchEvent(event) {
+      (listeners.get(event.type) || []).forEach(handler => handler(event));
+    },
+    get listenerCount() {
+      let count = 0;
+      listeners.forEach(set => { count += set.size; });
+      return count;
+    }
+  };
+}
+
+// A WebGL context where every create* call adds to `live` and every delete* call removes from it.
+// Data uploads are kept in `uploads`, uniform values in `uniforms` with `options.trackUniforms`,
+// `options.readPixels` fills float reads, new framebuffers are incomplete while `framebufferComplete`
+// is false, other methods do nothing, and constants are distinct numbers.
+function createWebGLStub(options = {}) {
+  const live = new Set();
+  const uploads = [];
+  const uniforms = [];
+  const constants = new Map();
+  let lost = false;
+
+  const methods = {
+    isContextLost: () => lost,
+    getExtension(name) {
+      if (name === 'WEBGL_lose_context') {
+        return options.loseContext ? { loseContext() { lost = true; } } : null;
+      }
+      if (name === 'OES_texture_half_float') return { HALF_FLOAT_OES: 0x8d61 };
+      return {};
+    },
+    getParameter(name) {
+      if (name === stub.MAX_TEXTURE_SIZE || name === stub.MAX_RENDERBUFFER_SIZE) return 4096;
+      if (name === stub.MAX_VIEWPORT_DIMS) return new Int32Array([4096, 4096]);
+      if (!options.readPixels) return 0;
+      if (name === stub.IMPLEMENTATION_COLOR_READ_FORMAT) return stub.RGBA;
+      if (name === stub.IMPLEMENTATION_COLOR_READ_TYPE) return stub.FLOAT;
+      return 0;
+    },
+    readPixels(x, y, width, height, format, type, pixels) {
+      if (options.readPixels) options.readPixels(width, height, pixels);
+    },
+    texImage2D(...args) {
+      const data = args[args.length - 1];
+      if (args.length === 9 && ArrayBuffer.isView(data)) {
+        uploads.push({ width: args[3], height: args[4], data });
+      }
+    },
+    getShaderParameter: () => true,
+    getProgramParameter: (program, name) => (name === stub.ACTIVE_UNIFORMS ? 0 : true),
+    checkFramebufferStatus: () => (context.framebufferComplete ? stub.FRAMEBUFFER_COMPLETE : stub.FRAMEBUFFER_INCOMPLETE_ATTACHMENT),
+    getError: () => stub.NO_ERROR,
+    getUniformLocation: () => ({}),
+    getShaderInfoLog: () => '',
+    getProgramInfoLog: () => ''
+  };
+
+  const stub = new Proxy({}, {
+    get(target, key) {
+      if (typeof key !== 'string') return undefined;
+      if (key in methods) return methods[key];
+      if (key === 'drawingBufferWidth' || key === 'drawingBufferHeight') return 256;
+      if (/^[A-Z0-9_]+$/.test(key)) {
+        if (!constants.has(key)) constants.set(key, 0x1000 + constants.size);
+        return constants.get(key);
+      }
+      if (key.startsWith('create')) {
+        return () => {
+          const object = { type: key.slice(6) };
+          live.add(object);
+          return object;
+        };
+      }
+      if (key.startsWith('delete')) {
+        return object => { live.delete(object); };
+      }
+      if (key.startsWith('uniform') && options.trackUniforms) {
+        return (location, ...values) => { uniforms.push([key, ...values]); };
+      }
+      return () => {};
+    }
+  });
+
+  const context = { gl: stub, live, uploads, uniforms, framebufferComplete: true };
+  return context;
+}
+
+function createEnvironment(options = {}) {
+  const frames = new Map();
+  let nextFrame = 1;
+  const contexts = [];
+
+  const window = createEventTarget({ devicePixelRatio: 1 });
+  const canvas = createEventTarget({
+    clientWidth: 320,
+    clientHeight: 240,
+    width: 0,
+    height: 0,
+    style: {},
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 320, height: 240 }),
+    getContext(type) {
+      if (type !== 'webgl') return null;
+      const context = createWebGLStub(options);
+      contexts.push(context);
+      return context.gl;
+    }
+  });
+
+  const sandbox = {
+    window,
+    document: createEventTarget(),
+    console: { ...console, log() {}, warn() {}, error() {} },
+    requestAnimationFrame(callback) {
+      frames.set(nextFrame, callback);
+      return nextFrame++;
+    },
+    cancelAnimationFrame(id) {
+      frames.delete(id);
+    },
+    setTimeout,
+    clearTimeout,
+    performance: { now: () => 0 },
+    TextEncoder,
+    TextDecoder
+  };
+  vm.createContext(sandbox);
+  SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInContext(source, sandbox, { filename: file });
+  });
+
+  return {
+    canvas,
+    window,
+    frames,
+    contexts,
+    create: () => sandbox.createFluidSimulation(canvas),
+    // Run the pending animation frames
+    frame(time) {
+      const callbacks = [...frames.values()];
+      frames.clear();
+      callbacks.forEach(callback => callback(time));
+    }
+  };
+}
+
+module.exports = { createEnvironment };
@@ -0,0 +1,44 @@
+/**
+ * captureImage() / renderFrames() tests
+ * Checks that export sizes the GPU can't render are refused before anything is drawn.
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment } = require('./environment');
+
+const SIZE_ERROR = /Export size must be whole pixels up to 4096x4096/;
+
+test('exports reject sizes outside the GPU limits', async () => {
+  const env = createEnvironment();
+  const sim = env.create();
+  env.frame(0);
+  const { live } = env.contexts[0];
+  const objectCount = live.size;
+
+  const sizes = [[0, 100], [100, -1], [100.5, 100], [NaN, 100], [100, Infinity], ['100', 100], [4097, 100], [100, 8192]];
+  for (const [width, height] of sizes) {
+    await assert.rejects(sim.captureImage({ width, height }), SIZE_ERROR);
+    await assert.rejects(sim.renderFrames({ width, height, frames: 1 }), SIZE_ERROR);
+  }
+
+  assert.strictEqual(live.size, objectCount);
+  assert.strictEqual(sim.isRunning(), true);
+
+  sim.destroy();
+});
+
+test('captureImage rejects and frees the target when its framebuffer is incomplete', async () => {
+  const env = createEnvironment();
+  const sim = env.create();
+  env.frame(0);
+  const context = env.contexts[0];
+  const objectCount = context.live.size;
+
+  context.framebufferComplete = false;
+  await assert.rejects(sim.captureImage({ width: 4096, height: 4096 }), /Could not create a 4096x4096 framebuffer/);
+  assert.strictEqual(context.live.size, objectCount);
+
+  sim.destroy();
+});
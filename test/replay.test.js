@@ -0,0 +1,94 @@
+/**
+ * startRecording() / stopRecording() / replay() tests
+ * Checks that a replayed timeline drives the simulation exactly like the recorded run and that
+ * malformed timelines are refused before anything is touched.
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment } = require('./environment');
+
+// The same splats and steps, with the splats left out while replaying
+function drive(sim, withSplats) {
+  if (withSplats) sim.splat(0.25, 0.5, 0.1, 0, { r: 1, g: 0, b: 0 });
+  sim.step(10);
+  if (withSplats) sim.splat(0.75, 0.5, -0.1, 0.2, { r: 0, g: 0.5, b: 1 }, 0.3, { profile: 'linear' });
+  sim.step(5);
+}
+
+test('a replayed recording makes the same GL calls as the recorded run', () => {
+  const env = createEnvironment({ trackUniforms: true });
+  const sim = env.create();
+  env.frame(0);
+  const { uniforms } = env.contexts[0];
+
+  sim.startRecording({ seed: 1234 });
+  const recordedStart = uniforms.length;
+  drive(sim, true);
+  const recorded = uniforms.slice(recordedStart);
+  // Through JSON, as a saved timeline would be
+  const timeline = JSON.parse(JSON.stringify(sim.stopRecording()));
+
+  assert.strictEqual(timeline.seed, 1234);
+  assert.strictEqual(timeline.steps, 15);
+  assert.deepStrictEqual(timeline.events.map(event => [event.step, event.profile]), [[0, 'gaussian'], [10, 'linear']]);
+
+  assert.strictEqual(sim.replay(timeline), true);
+  assert.strictEqual(sim.isReplaying(), true);
+  const replayedStart = uniforms.length;
+  drive(sim, false);
+  // Loosely, since JSON turns -0 into 0
+  assert.deepEqual(uniforms.slice(replayedStart), recorded);
+
+  // Without looping, replay ends with the timeline
+  sim.step(1);
+  assert.strictEqual(sim.isReplaying(), false);
+
+  sim.destroy();
+});
+
+test('replay refuses malformed timelines without touching the simulation', () => {
+  const env = createEnvironment({ trackUniforms: true });
+  const sim = env.create();
+  env.frame(0);
+  const { uniforms } = env.contexts[0];
+
+  sim.startRecording({ seed: 1 });
+  sim.splat(0.5, 0.5, 0.1, 0.1, { r: 1, g: 0, b: 0 });
+  sim.step(2);
+  const timeline = JSON.parse(JSON.stringify(sim.stopRecording()));
+  const event = timeline.events[0];
+
+  assert.strictEqual(sim.replay(timeline), true);
+  const callCount = uniforms.length;
+
+  const malformed = [
+    null,
+    'not json',
+    '{"version": 1',
+    { ...timeline, version: 2 },
+    { ...timeline, events: undefined },
+    { ...timeline, events: {} },
+    { ...timeline, config: undefined },
+    { ...timeline, config: null },
+    { ...timeline, seed: 'seed' },
+    { ...timeline, steps: NaN },
+    { ...timeline, events: [null] },
+    { ...timeline, events: [{ ...event, x: undefined }] },
+    { ...timeline, events: [{ ...event, color: null }] },
+    { ...timeline, events: [{ ...event, color: { r: 1, g: 0 } }] },
+    { ...timeline, events: [{ ...event, profile: 'square' }] }
+  ];
+
+  malformed.forEach(data => {
+    assert.strictEqual(sim.replay(data), false);
+  });
+
+  // The replay that was running carries on
+  assert.strictEqual(uniforms.length, callCount);
+  assert.strictEqual(sim.isReplaying(), true);
+  assert.strictEqual(sim.isRunning(), true);
+
+  sim.destroy();
+});
@@ -0,0 +1,117 @@
+/**
+ * exportState() / importState() tests
+ * Checks that a saved state loads back into the simulation and that broken ones are refused
+ * before anything is touched.
+ * Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment } = require('./environment');
+
+const STATE_MAGIC = 0x44554c46;
+
+// Every read returns 0, 0.5, 1, ... 3.5, which half floats store exactly
+function readPixels(width, height, pixels) {
+  for (let i = 0; i < pixels.length; i++) pixels[i] = (i % 8) * 0.5;
+}
+
+function fromHalf(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  if (exponent === 0) return mantissa * Math.pow(2, -24);
+  return (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+}
+
+function readHeader(buffer) {
+  const view = new DataView(buffer);
+  const length = view.getUint32(8, true);
+  return JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, length)));
+}
+
+// A state with the given header and zeroed field values
+function writeState(header) {
+  const json = new TextEncoder().encode(typeof header === 'string' ? header : JSON.stringify(header));
+  const length = json.length + (json.length % 2);
+  const buffer = new ArrayBuffer(12 + length + 4096);
+  const view = new DataView(buffer);
+  view.setUint32(0, STATE_MAGIC, true);
+  view.setUint32(4, 1, true);
+  view.setUint32(8, length, true);
+  new Uint8Array(buffer, 12, length).fill(0x20).set(json);
+  return buffer;
+}
+
+test('an exported state imports back with its config and field values', () => {
+  const env = createEnvironment({ readPixels });
+  const sim = env.create();
+  env.frame(0);
+  sim.setConfig({ SIM_RESOLUTION: 32, DYE_RESOLUTION: 64, CURL: 12 });
+
+  const state = sim.exportState();
+  const header = readHeader(state);
+  assert.deepStrictEqual(header.fields.map(field => [field.name, field.channels]), [
+    ['density', 3], ['velocity', 2], ['pressure', 1], ['temperature', 1]
+  ]);
+
+  sim.setConfig({ SIM_RESOLUTION: 16, DYE_RESOLUTION: 128, CURL: 0 });
+  const { uploads } = env.contexts[0];
+  const uploadCount = uploads.length;
+  assert.strictEqual(sim.importState(state), true);
+
+  const restored = readHeader(sim.exportState());
+  assert.deepStrictEqual(restored.config, header.config);
+  assert.deepStrictEqual(restored.fields, header.fields);
+
+  // One upload per field, with the saved channels and the rest zeroed
+  const fieldUploads = uploads.slice(uploadCount);
+  assert.strictEqual(fieldUploads.length, header.fields.length);
+  header.fields.forEach(({ channels, width, height }, index) => {
+    const upload = fieldUploads[index];
+    assert.strictEqual(upload.width, width);
+    assert.strictEqual(upload.height, height);
+    for (let i = 0; i < width * height * 4; i++) {
+      const expected = i % 4 < channels ? (i % 8) * 0.5 : 0;
+      assert.strictEqual(fromHalf(upload.data[i]), expected);
+    }
+  });
+
+  sim.destroy();
+});
+
+test('importState refuses broken states without touching the simulation', () => {
+  const env = createEnvironment({ readPixels });
+  const sim = env.create();
+  env.frame(0);
+  const before = readHeader(sim.exportState());
+  const { live } = env.contexts[0];
+  const objects = [...live];
+
+  const config = before.config;
+  const field = { name: 'density', channels: 3, width: 4, height: 4 };
+  const broken = [
+    null,
+    'not a state',
+    new ArrayBuffer(8),
+    writeState('{"config": {'),
+    writeState('null'),
+    writeState({ config, fields: {} }),
+    writeState({ fields: [field] }),
+    writeState({ config, fields: [null] }),
+    writeState({ config, fields: [{ ...field, name: undefined }] }),
+    writeState({ config, fields: [{ ...field, channels: 5 }] }),
+    writeState({ config, fields: [{ ...field, width: -4 }] }),
+    writeState({ config, fields: [{ ...field, height: 1.5 }] }),
+    writeState({ config, fields: [{ ...field, width: 4096 }] })
+  ];
+
+  broken.forEach(data => {
+    assert.strictEqual(sim.importState(data), false);
+  });
+
+  assert.deepStrictEqual([...live], objects);
+  assert.deepStrictEqual(readHeader(sim.exportState()), before);
+  assert.strictEqual(sim.isRunning(), true);
+
+  sim.destroy();
+});